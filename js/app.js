@@ -7,9 +7,23 @@ class BoxingDayApp {
         this.countdown = null;
         this.themeManager = null;
         this.particleSystem = null;
+        this.worldBoard = null;
+        this.activeCountdownId = null;
+        this.libraryUnsubscribe = null;
+        this.hasUrlTarget = false;
+        this.urlParams = null;
+        this.progressMetrics = [];
+        this.debugUnsubscribe = null;
+        this.reminderScheduleKey = null;
+        this.embedPreviewTimeout = null;
         this.isFullscreen = false;
         this.controlsTimeout = null;
         this.currentYear = null;
+        this.editingThemeId = null;
+        this.isCelebrating = false;
+        this.isFinalMinute = false;
+        this.lastTickSecond = null;
+        this.preferencesUnsubscribe = null;
 
         // DOM Elements cache
         this.elements = {};
@@ -23,11 +37,23 @@ class BoxingDayApp {
         this.initCountdown();
         this.initThemes();
         this.initParticles();
+        this.initWorldBoard();
         this.initEventListeners();
+        this.initSettings();
+        this.initDebugPanel();
+        this.initPush();
+        this.initReminders();
         this.loadFromUrl();
         this.loadPreferences();
+        this.restoreActiveCountdown();
+        this.applyProgressAnchor();
         this.initFullscreenControls();
         this.updateDocumentTitle();
+        this.initSync();
+
+        if (StorageManager.backend?.name === 'memory') {
+            this.showToast("⚠️ This browser isn't saving anything - changes last until you close the tab");
+        }
 
         console.log('Boxing Day Countdown Hub initialized');
     }
@@ -38,6 +64,8 @@ class BoxingDayApp {
     cacheElements() {
         this.elements = {
             // Countdown units
+            countdown: document.getElementById('countdown'),
+            years: document.getElementById('years'),
             months: document.getElementById('months'),
             weeks: document.getElementById('weeks'),
             days: document.getElementById('days'),
@@ -48,9 +76,29 @@ class BoxingDayApp {
             // Progress
             progressBar: document.getElementById('progress-fill'),
             progressPercent: document.getElementById('progress-percent'),
+            progressStartLabel: document.getElementById('progress-start-label'),
+            progressEndLabel: document.getElementById('progress-end-label'),
+            progressSettings: document.getElementById('progress-settings'),
+            progressMetrics: document.getElementById('progress-metrics'),
+
+            // Progress settings
+            progressModal: document.getElementById('progress-modal'),
+            progressForm: document.getElementById('progress-form'),
+            progressAnchor: document.getElementById('progress-anchor'),
+            progressAnchorDateGroup: document.getElementById('progress-anchor-date-group'),
+            progressAnchorDate: document.getElementById('progress-anchor-date'),
+            progressMetricOptions: document.getElementById('progress-metric-options'),
 
             // Header
+            headerTitle: document.getElementById('header-title'),
+            headerSubtitle: document.getElementById('header-subtitle'),
             yearDisplay: document.getElementById('year-display'),
+            yearModal: document.getElementById('year-modal'),
+            yearList: document.getElementById('year-list'),
+            eventSelect: document.getElementById('event-select'),
+            holidayOptions: document.getElementById('holiday-options'),
+            holidayRegion: document.getElementById('holiday-region'),
+            holidayTarget: document.getElementById('holiday-target'),
             timezoneDisplay: document.getElementById('timezone-display'),
 
             // Controls
@@ -60,17 +108,131 @@ class BoxingDayApp {
             testSoundBtn: document.getElementById('test-sound-btn'),
             shareBtn: document.getElementById('share-btn'),
             customBtn: document.getElementById('custom-btn'),
+            worldBtn: document.getElementById('world-btn'),
+            settingsBtn: document.getElementById('settings-btn'),
+
+            // Settings panel
+            settingsPanel: document.getElementById('settings-panel'),
+            settingsForm: document.getElementById('settings-form'),
+            settingsTimezone: document.getElementById('settings-timezone'),
+            settingsVolumeValue: document.getElementById('settings-volume-value'),
+            settingsBackup: document.getElementById('settings-backup'),
+
+            // Backup & sync
+            backupModal: document.getElementById('backup-modal'),
+            backupExport: document.getElementById('backup-export'),
+            backupImport: document.getElementById('backup-import'),
+            backupImportFile: document.getElementById('backup-import-file'),
+            backupFileSync: document.getElementById('backup-file-sync'),
+            backupSyncFile: document.getElementById('backup-sync-file'),
+            backupStrategy: document.getElementById('backup-strategy'),
+            syncForm: document.getElementById('sync-form'),
+            syncUrl: document.getElementById('sync-url'),
+            syncToken: document.getElementById('sync-token'),
+            syncStatus: document.getElementById('sync-status'),
+            syncDisconnect: document.getElementById('sync-disconnect'),
 
             // Theme
             themeToggle: document.getElementById('theme-toggle'),
             themeMenu: document.getElementById('theme-menu'),
             themeName: document.getElementById('current-theme-name'),
 
+            // Theme editor
+            themeEditorModal: document.getElementById('theme-editor-modal'),
+            themeForm: document.getElementById('theme-form'),
+            themePreview: document.getElementById('theme-preview'),
+            themeParticles: document.getElementById('theme-particles'),
+            themeFontDisplay: document.getElementById('theme-font-display'),
+            themeFontBody: document.getElementById('theme-font-body'),
+            themeExport: document.getElementById('theme-export'),
+            themeImport: document.getElementById('theme-import'),
+            themeImportFile: document.getElementById('theme-import-file'),
+            themeDelete: document.getElementById('theme-delete'),
+
             // Modal
             modal: document.getElementById('custom-modal'),
             modalClose: document.getElementById('modal-close'),
             customForm: document.getElementById('custom-form'),
 
+            // Share sheet
+            shareMainBtn: document.getElementById('share-main-btn'),
+            shareModal: document.getElementById('share-modal'),
+            shareText: document.getElementById('share-text'),
+            shareLinks: document.getElementById('share-links'),
+            shareCopy: document.getElementById('share-copy'),
+            shareNative: document.getElementById('share-native'),
+            shareImage: document.getElementById('share-image'),
+
+            // Snapshot card
+            snapshotModal: document.getElementById('snapshot-modal'),
+            snapshotPreset: document.getElementById('snapshot-preset'),
+            snapshotPreview: document.getElementById('snapshot-preview'),
+            snapshotShare: document.getElementById('snapshot-share'),
+
+            // Embed builder
+            embedBtn: document.getElementById('embed-btn'),
+            embedModal: document.getElementById('embed-modal'),
+            embedForm: document.getElementById('embed-form'),
+            embedTitle: document.getElementById('embed-widget-title'),
+            embedTheme: document.getElementById('embed-theme'),
+            embedYear: document.getElementById('embed-year'),
+            embedDate: document.getElementById('embed-date'),
+            embedUnits: document.getElementById('embed-units'),
+            embedTimezone: document.getElementById('embed-timezone'),
+            embedParticles: document.getElementById('embed-particles'),
+            embedProgress: document.getElementById('embed-progress'),
+            embedCompact: document.getElementById('embed-compact'),
+            embedTransparent: document.getElementById('embed-transparent'),
+            embedHideLink: document.getElementById('embed-hide-link'),
+            embedPreview: document.getElementById('embed-preview'),
+            embedCode: document.getElementById('embed-code'),
+            embedCopy: document.getElementById('embed-copy'),
+
+            // Saved countdowns library
+            libraryBtn: document.getElementById('library-btn'),
+            libraryModal: document.getElementById('library-modal'),
+            libraryList: document.getElementById('library-list'),
+            libraryNew: document.getElementById('library-new'),
+            libraryImport: document.getElementById('library-import'),
+            libraryImportFile: document.getElementById('library-import-file'),
+
+            // Timezone picker
+            timezoneModal: document.getElementById('timezone-modal'),
+            timezoneSearch: document.getElementById('timezone-search'),
+            timezoneList: document.getElementById('timezone-list'),
+
+            // Milestone reminders
+            milestonesBtn: document.getElementById('milestones-btn'),
+            milestonesModal: document.getElementById('milestones-modal'),
+            milestonesTitle: document.getElementById('milestones-title'),
+            milestonesList: document.getElementById('milestones-list'),
+            milestoneForm: document.getElementById('milestone-form'),
+            milestoneValue: document.getElementById('milestone-value'),
+            milestoneUnit: document.getElementById('milestone-unit'),
+            pushStatusText: document.getElementById('push-status-text'),
+            pushToggle: document.getElementById('push-toggle'),
+            pushCopy: document.getElementById('push-copy'),
+
+            // Time travel debug panel
+            debugPanel: document.getElementById('debug-panel'),
+            debugNow: document.getElementById('debug-now'),
+            debugTime: document.getElementById('debug-time'),
+            debugSpeed: document.getElementById('debug-speed'),
+
+            // Final minute
+            finalCountdown: document.getElementById('final-countdown'),
+            finalCountdownNumber: document.getElementById('final-countdown-number'),
+            finalMinuteToggle: document.getElementById('final-minute-toggle'),
+
+            // Celebration
+            celebrationOverlay: document.getElementById('celebration-overlay'),
+            celebrationEmoji: document.getElementById('celebration-emoji'),
+            celebrationTitle: document.getElementById('celebration-title'),
+            celebrationMessage: document.getElementById('celebration-message'),
+            celebrationElapsedLabel: document.getElementById('celebration-elapsed-label'),
+            celebrationElapsed: document.getElementById('celebration-elapsed'),
+            celebrationDismiss: document.getElementById('celebration-dismiss'),
+
             // Toast
             toastContainer: document.getElementById('toast-container')
         };
@@ -82,18 +244,138 @@ class BoxingDayApp {
     initCountdown() {
         this.countdown = new CountdownEngine({
             onUpdate: (remaining) => this.onCountdownUpdate(remaining),
-            onComplete: () => this.onCountdownComplete()
+            onComplete: () => this.onCountdownComplete(),
+            onRollover: () => this.onCountdownRollover(),
+            clock: this.createDebugClock()
         });
 
-        this.countdown.setBoxingDay().start();
+        this.countdown.setEvent().start();
         this.currentYear = this.countdown.targetYear;
     }
 
+    /**
+     * Build a time travel clock when the URL asks for one (?now=, ?speed=, ?debug)
+     */
+    createDebugClock() {
+        const params = ShareManager.parseUrlParams();
+        if (!params.now && !params.speed && !params.debug) return null;
+        if (!this.allowsDebugClock()) {
+            console.warn('Ignoring debug clock parameters outside developer mode');
+            return null;
+        }
+
+        const now = params.now && /^\d+$/.test(params.now) ? Number(params.now) : params.now;
+        const start = now ? new Date(now) : new Date();
+
+        if (isNaN(start.getTime())) {
+            console.warn('Ignoring invalid ?now= value:', params.now);
+            return new TimeTravelClock({ speed: params.speed });
+        }
+
+        return new TimeTravelClock({ now: start, speed: params.speed });
+    }
+
+    /**
+     * Whether URL parameters may move the clock: only on a local server, or
+     * on a device where StorageManager's 'developer' flag has been set
+     */
+    allowsDebugClock() {
+        return BoxingDayApp.DEV_HOSTS.includes(window.location.hostname) ||
+            StorageManager.get('developer', false) === true;
+    }
+
+    /**
+     * Show the time travel panel when a debug clock is active
+     */
+    initDebugPanel() {
+        const clock = this.countdown.clock;
+        if (!clock || !this.elements.debugPanel) return;
+
+        this.elements.debugPanel.hidden = false;
+        if (this.elements.debugSpeed) {
+            this.elements.debugSpeed.value = String(clock.speed);
+        }
+
+        this.elements.debugSpeed?.addEventListener('change', (e) => {
+            clock.setSpeed(e.target.value);
+            this.restartCountdown();
+        });
+
+        this.elements.debugPanel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-debug]');
+            if (!button) return;
+
+            switch (button.dataset.debug) {
+                case 'jump':
+                    if (this.elements.debugTime?.value) {
+                        this.timeTravel(this.elements.debugTime.value);
+                    }
+                    break;
+                case 'target-10s':
+                    this.timeTravel(this.countdown.targetDate.getTime() - 10 * 1000);
+                    break;
+                case 'target-1m':
+                    this.timeTravel(this.countdown.targetDate.getTime() - 60 * 1000);
+                    break;
+                case 'real':
+                    this.exitDebugMode();
+                    break;
+            }
+        });
+
+        const showNow = () => {
+            if (this.elements.debugNow) {
+                this.elements.debugNow.textContent = new Date(this.countdown.getHighPrecisionTime())
+                    .toLocaleString('en-US', { timeZone: this.countdown.timezone });
+            }
+        };
+        showNow();
+        this.debugUnsubscribe = this.countdown.subscribe(showNow);
+    }
+
+    /**
+     * Move the debug clock to a moment and re-evaluate the countdown from there
+     */
+    timeTravel(time) {
+        this.countdown.clock?.setTime(time);
+        this.restartCountdown();
+        this.showToast(`🕰️ Time travelled to ${new Date(this.countdown.getHighPrecisionTime()).toLocaleString()}`);
+    }
+
+    /**
+     * Drop the debug clock and go back to real time
+     */
+    exitDebugMode() {
+        this.countdown.setClock(null);
+        this.debugUnsubscribe?.();
+        this.debugUnsubscribe = null;
+        if (this.elements.debugPanel) {
+            this.elements.debugPanel.hidden = true;
+        }
+        this.restartCountdown();
+        this.showToast('⏱️ Back to real time');
+    }
+
+    /**
+     * Recompute the current target for the engine's clock and restart ticking
+     */
+    restartCountdown() {
+        this.countdown.stop();
+        if (!this.countdown.isCustom) {
+            this.countdown.setEvent(this.countdown.eventId, this.countdown.requestedYear);
+            this.currentYear = this.countdown.targetYear;
+        }
+        this.endCelebration();
+        this.countdown.start();
+        this.updateDocumentTitle();
+    }
+
     /**
      * Handle countdown updates
      */
     onCountdownUpdate(remaining) {
         // Update all units with animation
+        this.updateUnit('years', remaining.years);
         this.updateUnit('months', remaining.months);
         this.updateUnit('weeks', remaining.weeks);
         this.updateUnit('days', remaining.days);
@@ -106,7 +388,346 @@ class BoxingDayApp {
             this.elements.progressBar.style.width = `${remaining.progress}%`;
         }
         if (this.elements.progressPercent) {
-            this.elements.progressPercent.textContent = `${remaining.progress}%`;
+            this.elements.progressPercent.textContent = remaining.progress;
+        }
+        this.updateProgressMetrics();
+        this.updateFinalMinute(remaining);
+
+        if (!remaining.isComplete) {
+            this.checkMilestones(remaining);
+        }
+
+        if (remaining.isCelebrating && this.elements.celebrationElapsed) {
+            this.elements.celebrationElapsed.textContent = CountdownEngine.formatDuration(remaining.elapsed);
+        } else if (remaining.isComplete && this.isCelebrating) {
+            // A custom countdown's day has ended; presets end in onCountdownRollover
+            this.endCelebration();
+        }
+    }
+
+    /**
+     * Show the single-number display and tick each second inside the final minute
+     */
+    updateFinalMinute(remaining) {
+        const fastWindow = this.countdown.fastTickWindow;
+        const active = fastWindow > 0 && !remaining.isComplete && remaining.total <= fastWindow;
+
+        if (active !== this.isFinalMinute) {
+            this.isFinalMinute = active;
+            this.lastTickSecond = null;
+            document.body.classList.toggle('final-minute-mode', active);
+            if (this.elements.finalCountdown) {
+                this.elements.finalCountdown.hidden = !active;
+            }
+        }
+        if (!active || !this.elements.finalCountdown) return;
+
+        const seconds = Math.ceil(remaining.total / 1000);
+        this.elements.finalCountdown.style.setProperty('--second-fraction', ((remaining.total % 1000) / 1000).toFixed(3));
+        this.elements.finalCountdown.classList.toggle('final-countdown--urgent', seconds <= 10);
+
+        if (seconds !== this.lastTickSecond) {
+            this.lastTickSecond = seconds;
+            NotificationManager.playTick(BoxingDayApp.getTickPitch(seconds));
+
+            const number = this.elements.finalCountdownNumber;
+            if (number) {
+                number.textContent = seconds;
+                number.classList.remove('pulse');
+                void number.offsetWidth; // Trigger reflow
+                number.classList.add('pulse');
+            }
+        }
+    }
+
+    /**
+     * Tick pitch (Hz) for a second of the final minute: steady, then rising
+     * an octave over the last 10 seconds
+     */
+    static getTickPitch(seconds) {
+        return seconds > 10 ? 880 : 880 * Math.pow(2, (11 - seconds) / 10);
+    }
+
+    /**
+     * Turn the final-minute countdown on or off
+     */
+    setFinalMinute(enabled) {
+        this.countdown.setFastTickWindow(enabled ? BoxingDayApp.FINAL_MINUTE : 0);
+        if (this.elements.finalMinuteToggle) {
+            this.elements.finalMinuteToggle.checked = enabled;
+        }
+        this.countdown.update();
+    }
+
+    /**
+     * Key the active countdown's reminders are stored under
+     */
+    getMilestoneKey() {
+        if (this.activeCountdownId) return this.activeCountdownId;
+        return this.countdown.isCustom ? 'shared' : this.countdown.eventId;
+    }
+
+    /**
+     * Name of the event being counted down to
+     */
+    getEventName() {
+        return this.countdown.eventName;
+    }
+
+    /**
+     * Fire any reminder the countdown just crossed
+     */
+    checkMilestones(remaining) {
+        this.syncReminders();
+        MilestoneManager.check(
+            this.getMilestoneKey(),
+            this.countdown.targetDate.getTime(),
+            remaining.total
+        ).forEach(milestone => this.fireMilestone(milestone));
+    }
+
+    /**
+     * Play/show a reminder on the channels it has switched on
+     */
+    fireMilestone(milestone) {
+        const text = `${milestone.label} until ${this.getEventName()}!`;
+
+        if (milestone.chime) {
+            NotificationManager.playChime();
+        }
+        if (milestone.notification) {
+            NotificationManager.showNotification(`⏰ ${text}`, {
+                body: this.countdown.getReadableTime(),
+                tag: `milestone-${milestone.id}`
+            });
+        }
+        if (milestone.toast) {
+            this.showToast(`⏰ ${text}`);
+        }
+    }
+
+    /**
+     * Open reminders modal for the active countdown
+     */
+    openMilestones() {
+        this.closeModal();
+        if (this.elements.milestonesTitle) {
+            this.elements.milestonesTitle.textContent = `Reminders for ${this.getEventName()}`;
+        }
+        this.renderMilestones();
+        this.renderPushStatus();
+        this.elements.milestonesModal?.classList.add('open');
+    }
+
+    /**
+     * Render the active countdown's reminders
+     */
+    renderMilestones() {
+        if (!this.elements.milestonesList) return;
+
+        const channels = [
+            { id: 'chime', icon: '🔔', name: 'Chime' },
+            { id: 'toast', icon: '💬', name: 'On-screen message' },
+            { id: 'notification', icon: '📣', name: 'System notification' }
+        ];
+
+        const milestones = MilestoneManager.getMilestones(this.getMilestoneKey());
+
+        this.elements.milestonesList.innerHTML = milestones.map(m => `
+            <li class="library-item ${m.enabled ? '' : 'library-item--disabled'}" data-id="${BoxingDayApp.escapeHtml(m.id)}">
+                <label class="milestone-toggle library-item__info">
+                    <input type="checkbox" data-action="toggle" ${m.enabled ? 'checked' : ''}>
+                    <span class="library-item__name">${BoxingDayApp.escapeHtml(MilestoneManager.formatOffset(m.offset))} before</span>
+                </label>
+                <span class="library-item__actions">
+                    <span class="milestone-channels">
+                        ${channels.map(c => `
+                            <button type="button" class="milestone-channel ${m[c.id] ? 'milestone-channel--on' : ''}"
+                                    data-channel="${c.id}" title="${c.name}" aria-pressed="${Boolean(m[c.id])}">${c.icon}</button>
+                        `).join('')}
+                    </span>
+                    <button type="button" class="library-item__btn library-item__btn--danger" data-action="remove"
+                            aria-label="Remove reminder">✕</button>
+                </span>
+            </li>
+        `).join('') || '<li class="library-list__empty">No reminders set</li>';
+    }
+
+    /**
+     * Handle toggling, channel changes and removal in the reminders list
+     */
+    handleMilestoneAction(target) {
+        const item = target.closest('.library-item');
+        if (!item) return;
+
+        const key = this.getMilestoneKey();
+        const milestone = MilestoneManager.getMilestones(key).find(m => m.id === item.dataset.id);
+        if (!milestone) return;
+
+        if (target.dataset.action === 'toggle') {
+            MilestoneManager.updateMilestone(key, milestone.id, { enabled: target.checked });
+        } else if (target.dataset.action === 'remove') {
+            MilestoneManager.removeMilestone(key, milestone.id);
+        } else if (target.dataset.channel) {
+            const channel = target.dataset.channel;
+            MilestoneManager.updateMilestone(key, milestone.id, { [channel]: !milestone[channel] });
+            if (channel === 'notification' && !milestone[channel]) {
+                this.enableNotifications();
+            }
+        } else {
+            return;
+        }
+
+        this.renderMilestones();
+        this.syncReminders(true);
+    }
+
+    /**
+     * Add a reminder from the modal's form
+     */
+    addMilestone() {
+        const added = MilestoneManager.addMilestone(
+            this.getMilestoneKey(),
+            this.elements.milestoneValue?.value,
+            this.elements.milestoneUnit?.value
+        );
+
+        if (!added) {
+            this.showToast('⚠️ That reminder is invalid or already set');
+            return;
+        }
+
+        this.elements.milestoneForm?.reset();
+        this.renderMilestones();
+        this.syncReminders(true);
+        this.showToast(`⏰ Reminder added: ${added.label} before`);
+    }
+
+    /**
+     * Ask for notification permission and remember the outcome
+     */
+    async enableNotifications() {
+        const granted = await NotificationManager.requestPermission();
+        StorageManager.savePreferences({ notificationsEnabled: granted });
+
+        if (!granted) {
+            this.showToast('🔕 Notifications are blocked - chimes and messages will still play');
+        }
+        return granted;
+    }
+
+    /**
+     * Show reminders the service worker could not deliver while the app was closed
+     */
+    async initReminders() {
+        if (this.countdown.clock || !ReminderScheduler.isSupported()) return;
+
+        const missed = (await ReminderScheduler.catchUp()).filter(reminder => {
+            if (!reminder.firedKey) return true;
+            if (StorageManager.hasMilestoneFired(reminder.countdownId, reminder.firedKey)) return false;
+            StorageManager.markMilestoneFired(reminder.countdownId, reminder.firedKey);
+            return true;
+        });
+
+        if (missed.length === 1) {
+            this.showToast(`⏰ While you were away: ${missed[0].title.replace(/^\S+\s/, '')}`);
+        } else if (missed.length > 1) {
+            this.showToast(`⏰ You missed ${missed.length} reminders while away`);
+        }
+    }
+
+    /**
+     * Send the active countdown's reminders to the service worker when its
+     * target or milestones change (time travel never touches the real schedule)
+     */
+    syncReminders(force = false) {
+        if (this.countdown.clock || !ReminderScheduler.isSupported()) return;
+
+        const key = this.getMilestoneKey();
+        const target = this.countdown.targetDate.getTime();
+        const scheduleKey = `${key}@${target}`;
+        if (!force && scheduleKey === this.reminderScheduleKey) return;
+        this.reminderScheduleKey = scheduleKey;
+
+        ReminderScheduler.sync(ReminderScheduler.buildSchedule(
+            key,
+            this.getEventName(),
+            target,
+            MilestoneManager.getMilestones(key)
+        )).catch(err => console.warn('Reminder schedule sync failed:', err));
+    }
+
+    /**
+     * Keep the stored push subscription in sync with the service worker
+     */
+    initPush() {
+        PushSubscriptionManager.listen(() => this.getPushDetails());
+    }
+
+    /**
+     * What the push server needs to schedule this countdown's reminders
+     */
+    getPushDetails() {
+        return {
+            timezone: this.countdown.timezone,
+            milestones: MilestoneManager.getMilestones(this.getMilestoneKey())
+        };
+    }
+
+    /**
+     * Show the push subscription state in the reminders modal
+     */
+    renderPushStatus() {
+        const status = PushSubscriptionManager.getStatus();
+        const messages = {
+            unsupported: 'Push reminders are not supported in this browser',
+            denied: 'Notifications are blocked for this site',
+            subscribed: '📬 Push reminders are on - they arrive even with the page closed',
+            unsubscribed: 'Push reminders are off'
+        };
+
+        if (this.elements.pushStatusText) {
+            this.elements.pushStatusText.textContent = messages[status];
+        }
+        if (this.elements.pushToggle) {
+            this.elements.pushToggle.textContent = status === 'subscribed' ? 'Disable push' : 'Enable push';
+            this.elements.pushToggle.disabled = status === 'unsupported' || status === 'denied';
+        }
+        if (this.elements.pushCopy) {
+            this.elements.pushCopy.hidden = status !== 'subscribed';
+        }
+    }
+
+    /**
+     * Subscribe to or unsubscribe from push reminders
+     */
+    async togglePush() {
+        try {
+            if (PushSubscriptionManager.getStatus() === 'subscribed') {
+                await PushSubscriptionManager.unsubscribe();
+                this.showToast('🔕 Push reminders turned off');
+            } else {
+                await PushSubscriptionManager.subscribe(this.getPushDetails());
+                StorageManager.savePreferences({ notificationsEnabled: true });
+                this.showToast('📬 Push reminders turned on');
+            }
+        } catch (e) {
+            console.warn('Push subscription failed:', e);
+            this.showToast(`⚠️ ${e.message}`);
+        }
+        this.renderPushStatus();
+    }
+
+    /**
+     * Copy the push subscription JSON (for tools/push-sender.js)
+     */
+    async copyPushSubscription() {
+        const subscription = PushSubscriptionManager.getSubscription();
+        if (!subscription) return;
+
+        const copied = await ShareManager.copyToClipboard(JSON.stringify(subscription, null, 2));
+        if (copied) {
+            this.showToast('📋 Subscription copied to clipboard!');
         }
     }
 
@@ -128,21 +749,121 @@ class BoxingDayApp {
         }
     }
 
+    /**
+     * Switch the countdown to a unit set and show only its units
+     */
+    setUnits(unitSet) {
+        this.countdown.setUnits(unitSet);
+        this.applyUnits();
+        this.countdown.update();
+    }
+
+    /**
+     * Show the countdown boxes for the engine's current units
+     */
+    applyUnits() {
+        const units = this.countdown.units;
+        this.elements.countdown?.querySelectorAll('.countdown__unit').forEach(el => {
+            el.hidden = !units.includes(el.dataset.unit);
+        });
+        this.elements.countdown?.style.setProperty('--unit-count', units.length);
+    }
+
+    /**
+     * Cycle through the unit presets and remember the choice
+     */
+    cycleUnits() {
+        const sets = Object.keys(CountdownEngine.UNIT_SETS);
+        const next = sets[(sets.indexOf(this.countdown.unitSet) + 1) % sets.length];
+
+        this.setUnits(next);
+        StorageManager.savePreferences({ units: next });
+
+        const labels = CountdownEngine.UNIT_SETS[next].map(u => u[0].toUpperCase() + u.slice(1));
+        this.showToast(`🧮 Units: ${labels.join(' / ')}`);
+    }
+
     /**
      * Handle countdown completion
      */
     onCountdownComplete() {
         NotificationManager.playSound('celebration');
 
-        NotificationManager.showNotification("🎉 It's Boxing Day!", {
-            body: "Time for the biggest shopping event of the year!",
+        const countdown = this.countdown;
+        const event = countdown.isCustom ? null : countdown.event;
+
+        NotificationManager.showNotification(`🎉 ${countdown.completionMessage}`, {
+            body: event ? event.celebrationMessage : 'The wait is over!',
             requireInteraction: true
         });
 
-        this.showToast("🎉 It's Boxing Day! Happy Shopping!");
+        this.showToast(`🎉 ${countdown.completionMessage}${event ? ` ${event.greeting}` : ''}`);
+
+        // Celebrate for the rest of the day; past custom dates just keep the celebration styling
+        if (countdown.calculateTimeRemaining().isCelebrating) {
+            this.startCelebration();
+        } else {
+            document.body.classList.add('celebration-mode');
+        }
+    }
+
+    /**
+     * Show the celebration overlay and effects until the event's day ends
+     */
+    startCelebration() {
+        const countdown = this.countdown;
+        const event = countdown.isCustom ? null : countdown.event;
 
-        // Update UI for celebration mode
+        this.isCelebrating = true;
         document.body.classList.add('celebration-mode');
+        this.particleSystem?.celebrate(event ? event.celebrationEffect : 'confetti');
+
+        if (this.elements.celebrationEmoji) {
+            this.elements.celebrationEmoji.textContent = event ? event.emoji : '🎉';
+        }
+        if (this.elements.celebrationTitle) {
+            this.elements.celebrationTitle.textContent = event ? event.celebrationTitle : countdown.completionMessage;
+        }
+        if (this.elements.celebrationMessage) {
+            this.elements.celebrationMessage.textContent = event ? event.celebrationMessage : 'The wait is over!';
+        }
+        if (this.elements.celebrationElapsedLabel) {
+            this.elements.celebrationElapsedLabel.textContent = event
+                ? event.elapsedLabel || `It has been ${event.name} for`
+                : `Time since ${countdown.eventName}`;
+        }
+        if (this.elements.celebrationOverlay) {
+            this.elements.celebrationOverlay.hidden = false;
+        }
+    }
+
+    /**
+     * Hide the celebration overlay and go back to the theme's particles
+     */
+    endCelebration() {
+        this.isCelebrating = false;
+        document.body.classList.remove('celebration-mode');
+        this.particleSystem?.endCelebration();
+        this.dismissCelebration();
+    }
+
+    /**
+     * Close the overlay but keep the celebration running behind it
+     */
+    dismissCelebration() {
+        if (this.elements.celebrationOverlay) {
+            this.elements.celebrationOverlay.hidden = true;
+        }
+    }
+
+    /**
+     * The event's day is over and the engine moved on to next year
+     */
+    onCountdownRollover() {
+        this.currentYear = this.countdown.targetYear;
+        this.endCelebration();
+        this.updateDocumentTitle();
+        this.showToast(`📅 Now counting down to ${this.countdown.eventName} ${this.currentYear}`);
     }
 
     /**
@@ -150,7 +871,10 @@ class BoxingDayApp {
      */
     initThemes() {
         this.themeManager = new ThemeManager();
-        this.themeManager.loadSavedTheme();
+        this.themeManager.loadCustomThemes(StorageManager.getCustomThemes());
+
+        const { theme } = StorageManager.getPreferences();
+        this.themeManager.setTheme(this.themeManager.themes[theme] ? theme : 'snow');
         this.populateThemeMenu();
         this.updateThemeDisplay();
     }
@@ -162,65 +886,254 @@ class BoxingDayApp {
         if (!this.elements.themeMenu) return;
 
         const themes = this.themeManager.getThemeList();
+        const current = this.themeManager.getCurrentTheme();
         this.elements.themeMenu.innerHTML = themes.map(theme => `
             <button class="theme-option ${theme.id === this.themeManager.currentTheme ? 'active' : ''}" 
                     data-theme="${theme.id}">
                 <span class="theme-option__color" style="background: ${theme.color}"></span>
-                ${theme.name}
+                ${BoxingDayApp.escapeHtml(theme.name)}
             </button>
-        `).join('');
+        `).join('') + `
+            <div class="theme-selector__actions">
+                <button class="theme-option theme-option--action" data-theme-action="create">🎨 New theme</button>
+                ${current.custom ? '<button class="theme-option theme-option--action" data-theme-action="edit">✏️ Edit this theme</button>' : ''}
+                <button class="theme-option theme-option--action" data-theme-action="import">📥 Import theme</button>
+            </div>
+        `;
     }
 
     /**
-     * Update theme display in UI
+     * Open the theme editor on a custom theme, or on a fresh one
      */
-    updateThemeDisplay() {
-        if (this.elements.themeName) {
-            const current = this.themeManager.getCurrentTheme();
-            this.elements.themeName.textContent = current.name;
+    openThemeEditor(id = null) {
+        this.closeModal();
+        this.elements.themeMenu?.classList.remove('open');
+
+        const theme = id ? this.themeManager.themes[id] : null;
+        const definition = theme?.custom ? theme.definition : ThemeManager.DEFAULT_CUSTOM_THEME;
+        this.editingThemeId = theme?.custom ? id : null;
+
+        const fill = (select, options) => {
+            if (select && !select.options.length) {
+                options.forEach(([value, label]) => select.add(new Option(label, value)));
+            }
+        };
+        fill(this.elements.themeParticles, ThemeManager.PARTICLE_TYPES.map(type => [type, type[0].toUpperCase() + type.slice(1)]));
+        fill(this.elements.themeFontDisplay, Object.entries(ThemeManager.FONTS).map(([key, font]) => [key, font.name]));
+        fill(this.elements.themeFontBody, Object.entries(ThemeManager.FONTS).map(([key, font]) => [key, font.name]));
+
+        const form = this.elements.themeForm;
+        if (form) {
+            Object.entries(definition).forEach(([key, value]) => {
+                if (form.elements[key]) form.elements[key].value = value;
+            });
+        }
+        if (this.elements.themeDelete) {
+            this.elements.themeDelete.hidden = !this.editingThemeId || !StorageManager.getCustomThemes()[this.editingThemeId];
         }
 
-        // Update active state in menu
-        const options = document.querySelectorAll('.theme-option');
-        options.forEach(opt => {
-            opt.classList.toggle('active', opt.dataset.theme === this.themeManager.currentTheme);
-        });
+        this.updateThemePreview();
+        this.elements.themeEditorModal?.classList.add('open');
     }
 
     /**
-     * Initialize particle system
+     * Theme definition from the editor form (not yet validated)
      */
-    initParticles() {
-        this.particleSystem = new ParticleSystem('particle-canvas');
-        this.particleSystem.start();
+    readThemeForm() {
+        const form = this.elements.themeForm;
+        return Object.fromEntries(Object.keys(ThemeManager.DEFAULT_CUSTOM_THEME)
+            .map(key => [key, form?.elements[key]?.value]));
     }
 
     /**
-     * Initialize all event listeners
+     * Show the editor's values on the preview card only
      */
-    initEventListeners() {
-        // Theme toggle
-        this.elements.themeToggle?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.elements.themeMenu?.classList.toggle('open');
+    updateThemePreview() {
+        const preview = this.elements.themePreview;
+        if (!preview) return;
+
+        let theme;
+        try {
+            theme = ThemeManager.buildTheme(ThemeManager.validateTheme(this.readThemeForm()));
+        } catch (e) {
+            return;
+        }
+        Object.entries(ThemeManager.CSS_PROPERTIES).forEach(([key, property]) => {
+            preview.style.setProperty(property, theme[key]);
         });
+    }
 
-        // Theme selection
-        this.elements.themeMenu?.addEventListener('click', (e) => {
-            const option = e.target.closest('.theme-option');
-            if (option) {
-                this.themeManager.setTheme(option.dataset.theme);
-                this.updateThemeDisplay();
-                this.elements.themeMenu.classList.remove('open');
-            }
-        });
+    /**
+     * Save the editor's theme, switch to it and remember it
+     */
+    saveThemeFromEditor() {
+        let definition;
+        try {
+            definition = ThemeManager.validateTheme(this.readThemeForm());
+        } catch (e) {
+            this.showToast(`⚠️ ${e.message[0].toUpperCase()}${e.message.slice(1)}`);
+            return;
+        }
 
-        // Close theme menu on outside click
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.theme-selector')) {
-                this.elements.themeMenu?.classList.remove('open');
-            }
-        });
+        const id = this.editingThemeId || ThemeManager.createThemeId();
+        this.addCustomTheme(id, definition);
+        this.closeModal();
+        this.showToast(`🎨 Theme "${definition.name}" saved`);
+    }
+
+    /**
+     * Store a custom theme, register it and make it the active theme
+     */
+    addCustomTheme(id, definition) {
+        StorageManager.saveCustomTheme(id, definition);
+        this.themeManager.addCustomTheme(id, definition);
+        this.populateThemeMenu();
+        this.selectTheme(id);
+    }
+
+    /**
+     * Apply a theme and remember it
+     */
+    selectTheme(id) {
+        this.themeManager.setTheme(id);
+        StorageManager.savePreferences({ theme: this.themeManager.currentTheme });
+        this.updateThemeDisplay();
+    }
+
+    /**
+     * Delete the custom theme open in the editor
+     */
+    deleteEditingTheme() {
+        const id = this.editingThemeId;
+        const theme = this.themeManager.themes[id];
+        if (!theme || !confirm(`Delete the "${theme.name}" theme?`)) return;
+
+        StorageManager.deleteCustomTheme(id);
+        this.themeManager.removeCustomTheme(id);
+        if (StorageManager.getPreferences().theme === id) {
+            this.selectTheme(this.themeManager.currentTheme);
+        }
+        this.populateThemeMenu();
+        this.updateThemeDisplay();
+        this.closeModal();
+        this.showToast(`🗑️ Theme "${theme.name}" deleted`);
+    }
+
+    /**
+     * Download the editor's theme as a JSON file
+     */
+    exportThemeFromEditor() {
+        try {
+            const definition = ThemeManager.validateTheme(this.readThemeForm());
+            const slug = definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+            ThemeManager.download(ThemeManager.serializeTheme(definition), `${slug}.theme.json`);
+            this.showToast('📤 Theme exported');
+        } catch (e) {
+            this.showToast(`⚠️ ${e.message[0].toUpperCase()}${e.message.slice(1)}`);
+        }
+    }
+
+    /**
+     * Add a theme from an exported JSON file as a new custom theme
+     */
+    async importThemeFile(file) {
+        try {
+            const definition = ThemeManager.parseThemeFile(await file.text());
+            this.addCustomTheme(ThemeManager.createThemeId(), definition);
+            this.closeModal();
+            this.showToast(`🎨 Imported theme "${definition.name}"`);
+        } catch (e) {
+            console.error('Theme import failed:', e);
+            this.showToast(`⚠️ Couldn't import that theme: ${e.message}`);
+        }
+    }
+
+    /**
+     * Update theme display in UI
+     */
+    updateThemeDisplay() {
+        if (this.elements.themeName) {
+            const current = this.themeManager.getCurrentTheme();
+            this.elements.themeName.textContent = current.name;
+        }
+
+        // Update active state in menu
+        const options = document.querySelectorAll('.theme-option');
+        options.forEach(opt => {
+            opt.classList.toggle('active', opt.dataset.theme === this.themeManager.currentTheme);
+        });
+    }
+
+    /**
+     * Initialize particle system
+     */
+    initParticles() {
+        this.particleSystem = new ParticleSystem('particle-canvas');
+        this.particleSystem.start();
+
+        // The countdown may already have completed while the page was loading
+        if (this.isCelebrating) {
+            this.startCelebration();
+        }
+    }
+
+    /**
+     * Initialize the around-the-world board (driven by the main countdown's ticks)
+     */
+    initWorldBoard() {
+        this.worldBoard = new WorldBoard('world-board-list', this.countdown);
+    }
+
+    /**
+     * Toggle between the main countdown and the around-the-world board
+     */
+    toggleWorldBoard(show = !this.worldBoard.isVisible) {
+        if (show) {
+            this.worldBoard.show();
+        } else {
+            this.worldBoard.hide();
+        }
+        document.body.classList.toggle('world-view', show);
+        this.elements.worldBtn?.classList.toggle('control-btn--active', show);
+    }
+
+    /**
+     * Initialize all event listeners
+     */
+    initEventListeners() {
+        // Theme toggle
+        this.elements.themeToggle?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.populateThemeMenu();
+            this.elements.themeMenu?.classList.toggle('open');
+        });
+
+        // Theme selection
+        this.elements.themeMenu?.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-theme-action]')?.dataset.themeAction;
+            if (action === 'create' || action === 'edit') {
+                this.openThemeEditor(action === 'edit' ? this.themeManager.currentTheme : null);
+                return;
+            }
+            if (action === 'import') {
+                this.elements.themeMenu.classList.remove('open');
+                this.elements.themeImportFile?.click();
+                return;
+            }
+
+            const option = e.target.closest('.theme-option');
+            if (option) {
+                this.selectTheme(option.dataset.theme);
+                this.elements.themeMenu.classList.remove('open');
+            }
+        });
+
+        // Close theme menu on outside click
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.theme-selector')) {
+                this.elements.themeMenu?.classList.remove('open');
+            }
+        });
 
         // Control buttons
         this.elements.fullscreenBtn?.addEventListener('click', () => this.toggleFullscreen());
@@ -228,11 +1141,93 @@ class BoxingDayApp {
         this.elements.testSoundBtn?.addEventListener('click', () => this.testSound());
         this.elements.shareBtn?.addEventListener('click', () => this.share());
         this.elements.customBtn?.addEventListener('click', () => this.openCustomModal());
+        this.elements.worldBtn?.addEventListener('click', () => this.toggleWorldBoard());
+        this.elements.libraryBtn?.addEventListener('click', () => this.openLibrary());
+        this.elements.milestonesBtn?.addEventListener('click', () => this.openMilestones());
+
+        // Milestone reminders
+        this.elements.milestonesList?.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-channel], [data-action="remove"]');
+            if (target) this.handleMilestoneAction(target);
+        });
+        this.elements.milestonesList?.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'toggle') this.handleMilestoneAction(e.target);
+        });
+        this.elements.milestoneForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addMilestone();
+        });
+        this.elements.pushToggle?.addEventListener('click', () => this.togglePush());
+        this.elements.pushCopy?.addEventListener('click', () => this.copyPushSubscription());
+
+        // Share sheet
+        this.elements.shareMainBtn?.addEventListener('click', () => this.openShareSheet());
+        this.elements.shareCopy?.addEventListener('click', () => this.copyShareLink());
+        this.elements.shareNative?.addEventListener('click', () => ShareManager.nativeShare(this.getShareData()));
+        this.elements.shareImage?.addEventListener('click', () => this.openSnapshot());
+
+        // Snapshot card
+        this.elements.snapshotPreset?.addEventListener('change', () => this.updateSnapshotPreview());
+        this.elements.snapshotModal?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-snapshot]');
+            if (button) this.exportSnapshot(button.dataset.snapshot);
+        });
+
+        // Embed builder
+        this.elements.embedBtn?.addEventListener('click', () => this.openEmbedModal());
+        this.elements.embedForm?.addEventListener('input', () => this.updateEmbedCode());
+        this.elements.embedForm?.addEventListener('change', () => this.updateEmbedCode());
+        this.elements.embedForm?.addEventListener('submit', (e) => e.preventDefault());
+        this.elements.embedCopy?.addEventListener('click', () => this.copyEmbedCode());
+        window.addEventListener('message', (e) => {
+            if (e.source === this.elements.embedPreview?.contentWindow
+                && e.data?.type === 'boxingday-widget-height') {
+                this.elements.embedPreview.style.height = `${e.data.height}px`;
+            }
+        });
+
+        // Saved countdowns library
+        this.elements.libraryNew?.addEventListener('click', () => {
+            this.closeModal();
+            this.openCustomModal();
+        });
+        this.elements.libraryList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleLibraryAction(button.dataset.action, button.closest('.library-item').dataset.id);
+            }
+        });
+        this.elements.libraryImport?.addEventListener('click', () => this.elements.libraryImportFile?.click());
+        this.elements.libraryImportFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importCalendarFile(file);
+        });
+
+        // Theme editor
+        this.elements.themeForm?.addEventListener('input', () => this.updateThemePreview());
+        this.elements.themeForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveThemeFromEditor();
+        });
+        this.elements.themeExport?.addEventListener('click', () => this.exportThemeFromEditor());
+        this.elements.themeDelete?.addEventListener('click', () => this.deleteEditingTheme());
+        this.elements.themeImport?.addEventListener('click', () => this.elements.themeImportFile?.click());
+        this.elements.themeImportFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importThemeFile(file);
+        });
 
-        // Modal
+        // Modals
         this.elements.modalClose?.addEventListener('click', () => this.closeModal());
-        this.elements.modal?.addEventListener('click', (e) => {
-            if (e.target === this.elements.modal) this.closeModal();
+        document.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+        document.querySelectorAll('.modal-overlay').forEach(overlay => {
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) this.closeModal();
+            });
         });
 
         // Custom form
@@ -246,6 +1241,40 @@ class BoxingDayApp {
 
         // Year selector
         this.elements.yearDisplay?.addEventListener('click', () => this.showYearSelector());
+        this.elements.yearList?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-year]');
+            if (option) this.selectYear(Number(option.dataset.year));
+        });
+        this.elements.eventSelect?.addEventListener('change', (e) => this.selectEvent(e.target.value));
+
+        // Final-minute countdown
+        this.elements.finalMinuteToggle?.addEventListener('change', (e) => {
+            StorageManager.savePreferences({ finalMinute: e.target.checked });
+            this.showToast(e.target.checked ? '⏱️ Final-minute countdown on' : '⏱️ Final-minute countdown off');
+        });
+
+        // Celebration overlay
+        this.elements.celebrationDismiss?.addEventListener('click', () => this.dismissCelebration());
+
+        // Progress settings
+        this.elements.progressSettings?.addEventListener('click', () => this.openProgressSettings());
+        this.elements.progressForm?.addEventListener('change', () => this.saveProgressSettings());
+        this.elements.progressForm?.addEventListener('submit', (e) => e.preventDefault());
+        this.elements.holidayRegion?.addEventListener('change', (e) => this.setHolidayRule({ region: e.target.value }));
+        this.elements.holidayTarget?.addEventListener('change', (e) => this.setHolidayRule({ target: e.target.value }));
+
+        // Timezone picker
+        this.elements.timezoneDisplay?.addEventListener('click', () => this.openTimezonePicker());
+        this.elements.timezoneSearch?.addEventListener('input', (e) => {
+            this.renderTimezoneList(e.target.value);
+        });
+        this.elements.timezoneList?.addEventListener('click', (e) => {
+            const option = e.target.closest('.timezone-option');
+            if (option) {
+                this.setTimezone(option.dataset.timezone || null);
+                this.closeModal();
+            }
+        });
 
         // Touch gestures for mobile
         this.initTouchGestures();
@@ -308,8 +1337,7 @@ class BoxingDayApp {
         const currentIndex = themes.findIndex(t => t.id === this.themeManager.currentTheme);
         let newIndex = (currentIndex + direction + themes.length) % themes.length;
 
-        this.themeManager.setTheme(themes[newIndex].id);
-        this.updateThemeDisplay();
+        this.selectTheme(themes[newIndex].id);
         this.showToast(`Theme: ${themes[newIndex].name}`);
     }
 
@@ -317,20 +1345,50 @@ class BoxingDayApp {
      * Handle keyboard shortcuts
      */
     handleKeyboard(e) {
+        // Let form fields receive their own keystrokes
+        if (e.target.closest?.('input, textarea, select')) {
+            if (e.key === 'Escape') {
+                this.closeModal();
+                this.toggleSettings(false);
+            }
+            return;
+        }
+
+        // Leave Ctrl/Cmd/Alt combinations to the browser
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
         switch (e.key.toLowerCase()) {
             case 'f':
-                if (!e.ctrlKey && !e.metaKey) {
-                    this.toggleFullscreen();
-                }
+                this.toggleFullscreen();
                 break;
             case 'm':
                 this.toggleSound();
                 break;
+            case 'w':
+                this.toggleWorldBoard();
+                break;
+            case 'l':
+                this.openLibrary();
+                break;
+            case 'u':
+                this.cycleUnits();
+                break;
+            case 'r':
+                this.openMilestones();
+                break;
+            case 'i':
+                this.openSnapshot();
+                break;
+            case 's':
+                this.toggleSettings();
+                break;
             case 'escape':
                 if (this.isFullscreen) {
                     this.exitFullscreen();
                 }
                 this.closeModal();
+                this.toggleSettings(false);
+                this.dismissCelebration();
                 break;
             case 'arrowleft':
                 this.cycleTheme(-1);
@@ -434,7 +1492,6 @@ class BoxingDayApp {
      */
     toggleSound() {
         const enabled = NotificationManager.toggleSound();
-        this.elements.soundBtn?.classList.toggle('control-btn--active', enabled);
         this.showToast(enabled ? '🔊 Sound enabled' : '🔇 Sound muted');
     }
 
@@ -451,23 +1508,14 @@ class BoxingDayApp {
      * Share countdown
      */
     async share() {
-        const url = ShareManager.generateShareUrl({
-            year: this.currentYear,
-            theme: this.themeManager.currentTheme
-        });
-
-        const shareData = {
-            title: `Boxing Day Countdown ${this.currentYear}`,
-            text: `Only ${this.countdown.calculateTimeRemaining().totalDays} days until Boxing Day ${this.currentYear}!`,
-            url: url
-        };
+        const shareData = this.getShareData();
 
         // Try native share first (mobile)
         const shared = await ShareManager.nativeShare(shareData);
 
         if (!shared) {
             // Fallback to clipboard
-            const copied = await ShareManager.copyToClipboard(url);
+            const copied = await ShareManager.copyToClipboard(shareData.url);
             if (copied) {
                 this.showToast('📋 Link copied to clipboard!');
             }
@@ -475,157 +1523,1312 @@ class BoxingDayApp {
     }
 
     /**
-     * Open custom countdown modal
+     * Full config of the countdown on screen for a share link. The timezone
+     * is only included when one was picked, so others count to their own midnight.
      */
-    openCustomModal() {
-        this.elements.modal?.classList.add('open');
-        document.getElementById('custom-name')?.focus();
+    getShareOptions() {
+        const countdown = this.countdown;
+        const target = countdown.isCustom
+            ? { customDate: countdown.targetDate.toISOString(), customName: countdown.eventName }
+            : { year: countdown.targetYear, event: countdown.eventId };
+
+        return {
+            ...target,
+            theme: this.themeManager.currentTheme,
+            customTheme: this.themeManager.getCurrentTheme().definition,
+            timezone: StorageManager.getPreferences().timezone,
+            units: countdown.unitSet || countdown.units,
+            milestones: MilestoneManager.getMilestones(this.getMilestoneKey())
+                .filter(m => m.enabled)
+                .map(m => m.offset)
+        };
     }
 
     /**
-     * Close modal
+     * Title, text and link describing the countdown on screen
      */
-    closeModal() {
-        this.elements.modal?.classList.remove('open');
+    getShareData() {
+        const countdown = this.countdown;
+        const remaining = countdown.calculateTimeRemaining();
+        const eventName = countdown.isCustom ? countdown.eventName : `${countdown.eventName} ${countdown.targetYear}`;
+        const url = ShareManager.generateShareUrl(this.getShareOptions());
+
+        const text = remaining.isComplete
+            ? `🎉 ${countdown.getReadableTime(remaining)}`
+            : `⏳ ${countdown.getReadableTime(remaining)} until ${eventName}!`;
+
+        return { title: `${eventName} Countdown`, text, url };
     }
 
     /**
-     * Create custom countdown
+     * Open the share sheet with links for the countdown on screen
      */
-    createCustomCountdown() {
-        const name = document.getElementById('custom-name')?.value?.trim();
-        const date = document.getElementById('custom-date')?.value;
+    openShareSheet() {
+        this.closeModal();
 
-        if (!name || !date) {
-            this.showToast('⚠️ Please fill in all fields');
-            return;
+        const data = this.getShareData();
+        const urls = ShareManager.getSocialShareUrls(data);
+        const networks = [
+            { id: 'twitter', icon: '𝕏', name: 'X / Twitter' },
+            { id: 'facebook', icon: '📘', name: 'Facebook' },
+            { id: 'whatsapp', icon: '💬', name: 'WhatsApp' },
+            { id: 'telegram', icon: '✈️', name: 'Telegram' },
+            { id: 'linkedin', icon: '💼', name: 'LinkedIn' },
+            { id: 'pinterest', icon: '📌', name: 'Pinterest' },
+            { id: 'email', icon: '✉️', name: 'Email' },
+            { id: 'sms', icon: '📱', name: 'SMS' }
+        ];
+
+        if (this.elements.shareText) {
+            this.elements.shareText.textContent = data.text;
+        }
+        if (this.elements.shareLinks) {
+            this.elements.shareLinks.innerHTML = networks.map(n => `
+                <a class="share-sheet__link" href="${BoxingDayApp.escapeHtml(urls[n.id])}"
+                   ${n.id === 'email' || n.id === 'sms' ? '' : 'target="_blank" rel="noopener"'}>
+                    <span class="share-sheet__icon" aria-hidden="true">${n.icon}</span>
+                    ${n.name}
+                </a>
+            `).join('');
+        }
+        if (this.elements.shareNative) {
+            this.elements.shareNative.hidden = !navigator.share;
         }
 
-        // Save custom countdown
-        const id = StorageManager.saveCustomCountdown({ name, date });
-
-        // Update countdown
-        this.countdown.stop();
-        this.countdown.setCustomDate(date, name);
-        this.countdown.start();
+        this.elements.shareModal?.classList.add('open');
+    }
 
-        // Update UI
-        if (this.elements.yearDisplay) {
-            this.elements.yearDisplay.textContent = name;
+    /**
+     * Copy the countdown link from the share sheet
+     */
+    async copyShareLink() {
+        const copied = await ShareManager.copyToClipboard(this.getShareData().url);
+        if (copied) {
+            this.showToast('📋 Link copied to clipboard!');
         }
-        document.title = `${name} Countdown`;
+    }
 
-        // Generate shareable URL
-        const url = ShareManager.generateShareUrl({
-            customDate: date,
-            customName: name,
-            theme: this.themeManager.currentTheme
-        });
+    /**
+     * What the snapshot card shows: the countdown on screen in the active theme
+     */
+    getSnapshotData() {
+        const countdown = this.countdown;
+        const remaining = countdown.calculateTimeRemaining();
+
+        return {
+            theme: this.themeManager.getCurrentTheme(),
+            eventName: countdown.isCustom ? countdown.eventName : `${countdown.eventName} ${countdown.targetYear}`,
+            units: countdown.units.map(unit => ({
+                label: unit[0].toUpperCase() + unit.slice(1),
+                value: remaining[unit]
+            })),
+            readable: countdown.getReadableTime(remaining),
+            progress: remaining.progress,
+            url: window.location.host || 'boxingdaycountdown.com'
+        };
+    }
 
+    /**
+     * Open the image card dialog
+     */
+    openSnapshot() {
         this.closeModal();
-        this.showToast(`✅ Custom countdown created!`);
 
-        // Show share prompt
-        setTimeout(() => {
-            if (confirm('Share your custom countdown?')) {
-                ShareManager.copyToClipboard(url);
-                this.showToast('📋 Link copied!');
-            }
-        }, 500);
+        const select = this.elements.snapshotPreset;
+        if (select && !select.options.length) {
+            Object.entries(SnapshotGenerator.presets).forEach(([id, preset]) => {
+                select.add(new Option(preset.name, id));
+            });
+        }
+        if (this.elements.snapshotShare) {
+            const probe = typeof File !== 'undefined' ? new File([''], 'card.png', { type: 'image/png' }) : null;
+            this.elements.snapshotShare.hidden = !(probe && navigator.canShare?.({ files: [probe] }));
+        }
+
+        this.updateSnapshotPreview();
+        this.elements.snapshotModal?.classList.add('open');
     }
 
     /**
-     * Show year selector
+     * Show the selected preset as an SVG preview
      */
-    showYearSelector() {
-        const years = this.countdown.getAllBoxingDays();
-        const currentIndex = years.findIndex(y => y.year === this.currentYear);
-        const nextYear = years[(currentIndex + 1) % years.length];
+    updateSnapshotPreview() {
+        if (!this.elements.snapshotPreview) return;
+        const svg = SnapshotGenerator.toSvg(this.getSnapshotData(), this.elements.snapshotPreset?.value);
+        this.elements.snapshotPreview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
 
-        this.currentYear = nextYear.year;
-        this.countdown.stop();
-        this.countdown.setBoxingDay(this.currentYear);
-        this.countdown.start();
+    /**
+     * Download the card as PNG/SVG, or share it as a PNG file
+     */
+    async exportSnapshot(action) {
+        const data = this.getSnapshotData();
+        const presetId = this.elements.snapshotPreset?.value || 'landscape';
+        const format = action === 'svg' ? 'svg' : 'png';
+
+        try {
+            const blob = await SnapshotGenerator.toBlob(data, presetId, format);
+            const filename = SnapshotGenerator.getFilename(data, presetId, format);
+
+            if (action === 'share') {
+                const shared = await SnapshotGenerator.share(blob, filename, this.getShareData());
+                if (!shared) {
+                    SnapshotGenerator.download(blob, filename);
+                    this.showToast('🖼️ Sharing images is not supported here - downloaded instead');
+                }
+                return;
+            }
 
-        this.updateDocumentTitle();
-        this.showToast(`📅 Countdown to Boxing Day ${this.currentYear}`);
+            SnapshotGenerator.download(blob, filename);
+            this.showToast(`🖼️ Saved ${filename}`);
+        } catch (e) {
+            console.error('Snapshot failed:', e);
+            this.showToast('⚠️ Could not create the image');
+        }
     }
 
     /**
-     * Update document title
+     * Open the embed builder, pre-filled from the countdown on screen
      */
-    updateDocumentTitle() {
-        document.title = `Boxing Day Countdown ${this.currentYear} | Ultimate Holiday Timer`;
+    openEmbedModal() {
+        this.closeModal();
 
-        if (this.elements.yearDisplay) {
-            this.elements.yearDisplay.textContent = `December 26, ${this.currentYear}`;
+        // The widget knows Boxing Day by year; other events embed as a dated countdown
+        const isCustom = this.countdown.isCustom || this.countdown.eventId !== 'boxingday';
+        const target = this.countdown.targetDate;
+        const local = new Date(target.getTime() - target.getTimezoneOffset() * 60000);
+
+        if (this.elements.embedTitle) {
+            this.elements.embedTitle.value = isCustom ? this.countdown.eventName : '';
+        }
+        if (this.elements.embedYear) {
+            this.elements.embedYear.value = this.countdown.targetYear;
         }
+        if (this.elements.embedDate) {
+            this.elements.embedDate.value = isCustom ? local.toISOString().slice(0, 16) : '';
+        }
+        if (this.elements.embedTheme && this.elements.embedTheme.options.length <= 2) {
+            // The widget only knows the built-in themes
+            this.themeManager.getThemeList().filter(theme => !theme.custom).forEach(theme => {
+                this.elements.embedTheme.add(new Option(theme.name, theme.id));
+            });
+        }
+        if (this.elements.embedTheme) {
+            this.elements.embedTheme.value = this.themeManager.getCurrentTheme().custom ? 'dark' : this.themeManager.currentTheme;
+        }
+        if (this.elements.embedTimezone) {
+            const timezone = this.countdown.timezone;
+            this.elements.embedTimezone.length = 1;
+            this.elements.embedTimezone.add(new Option(TimezoneUtils.getTimezoneLabel(timezone), timezone));
+        }
+
+        this.updateEmbedCode();
+        this.elements.embedModal?.classList.add('open');
     }
 
     /**
-     * Load configuration from URL parameters
+     * Read the embed builder's options
      */
-    loadFromUrl() {
-        const params = ShareManager.parseUrlParams();
+    getEmbedOptions() {
+        const date = this.elements.embedDate?.value;
+        const parsed = date ? new Date(date) : null;
+
+        return {
+            title: this.elements.embedTitle?.value.trim(),
+            theme: this.elements.embedTheme?.value,
+            units: this.elements.embedUnits?.value,
+            timezone: this.elements.embedTimezone?.value || null,
+            particles: Boolean(this.elements.embedParticles?.checked),
+            progress: Boolean(this.elements.embedProgress?.checked),
+            anchor: this.getEmbedAnchor(),
+            metrics: this.progressMetrics,
+            year: parseInt(this.elements.embedYear?.value) || null,
+            // Pin the instant so every visitor counts down to the same moment
+            customDate: parsed && !isNaN(parsed.getTime()) ? parsed.toISOString() : null,
+            compact: Boolean(this.elements.embedCompact?.checked),
+            transparent: Boolean(this.elements.embedTransparent?.checked),
+            hideLink: Boolean(this.elements.embedHideLink?.checked)
+        };
+    }
 
-        if (params.year) {
-            this.currentYear = params.year;
-            this.countdown.stop();
-            this.countdown.setBoxingDay(params.year);
-            this.countdown.start();
-        }
+    /**
+     * The countdown's progress anchor as an embed URL value: 'yearStart',
+     * 'previous' or a start date; null keeps the widget's default
+     */
+    getEmbedAnchor() {
+        const anchor = this.countdown.progressAnchor;
+        if (!anchor) return null;
+        return anchor.date ? new Date(anchor.date).toISOString() : anchor.type;
+    }
 
-        if (params.theme && this.themeManager.themes[params.theme]) {
-            this.themeManager.setTheme(params.theme);
-            this.updateThemeDisplay();
+    /**
+     * Refresh the snippet and the live preview (debounced while typing)
+     */
+    updateEmbedCode() {
+        const options = this.getEmbedOptions();
+        if (this.elements.embedCode) {
+            this.elements.embedCode.value = ShareManager.generateEmbedCode(options);
         }
 
-        if (params.customDate) {
-            this.countdown.stop();
-            this.countdown.setCustomDate(params.customDate, params.customName || 'Custom Event');
-            this.countdown.start();
-
-            if (this.elements.yearDisplay && params.customName) {
-                this.elements.yearDisplay.textContent = params.customName;
+        clearTimeout(this.embedPreviewTimeout);
+        this.embedPreviewTimeout = setTimeout(() => {
+            const src = ShareManager.generateEmbedUrl(options);
+            if (this.elements.embedPreview && this.elements.embedPreview.src !== src) {
+                this.elements.embedPreview.src = src;
             }
+        }, 300);
+    }
+
+    /**
+     * Copy the embed snippet
+     */
+    async copyEmbedCode() {
+        const copied = await ShareManager.copyToClipboard(this.elements.embedCode?.value || '');
+        if (copied) {
+            this.showToast('📋 Embed code copied to clipboard!');
         }
     }
 
     /**
-     * Load user preferences from storage
+     * Open custom countdown modal, optionally pre-filled to edit a saved countdown
      */
-    loadPreferences() {
-        const prefs = StorageManager.getPreferences();
+    openCustomModal(countdown = null) {
+        const idInput = document.getElementById('custom-id');
+        const nameInput = document.getElementById('custom-name');
+        const dateInput = document.getElementById('custom-date');
 
-        NotificationManager.soundEnabled = prefs.soundEnabled;
-        this.elements.soundBtn?.classList.toggle('control-btn--active', prefs.soundEnabled);
+        if (idInput) idInput.value = countdown?.id || '';
+        if (nameInput) nameInput.value = countdown?.name || '';
+        if (dateInput) dateInput.value = countdown?.date || '';
 
-        // Update timezone display
-        if (this.elements.timezoneDisplay) {
-            const tz = TimezoneUtils.detectTimezone();
-            const offset = TimezoneUtils.getOffsetString(tz);
-            this.elements.timezoneDisplay.textContent = offset;
-        }
+        const title = document.getElementById('modal-title');
+        const submit = document.getElementById('custom-submit');
+        if (title) title.textContent = countdown ? 'Edit Countdown' : 'Create Custom Countdown';
+        if (submit) submit.textContent = countdown ? 'Save Changes' : 'Create Countdown';
+
+        this.elements.modal?.classList.add('open');
+        nameInput?.focus();
     }
 
     /**
-     * Show toast notification
+     * Close any open modal
      */
-    showToast(message) {
-        if (!this.elements.toastContainer) {
-            // Create toast container if not exists
-            const container = document.createElement('div');
-            container.id = 'toast-container';
-            container.className = 'toast-container';
-            document.body.appendChild(container);
-            this.elements.toastContainer = container;
+    closeModal() {
+        if (this.libraryUnsubscribe) {
+            this.libraryUnsubscribe();
+            this.libraryUnsubscribe = null;
         }
 
-        const toast = document.createElement('div');
-        toast.className = 'toast';
-        toast.textContent = message;
-
-        this.elements.toastContainer.appendChild(toast);
+        document.querySelectorAll('.modal-overlay.open').forEach(modal => {
+            modal.classList.remove('open');
+        });
+    }
+
+    /**
+     * Open timezone picker modal
+     */
+    openTimezonePicker() {
+        if (this.elements.timezoneSearch) {
+            this.elements.timezoneSearch.value = '';
+        }
+        this.renderTimezoneList('');
+        this.elements.timezoneModal?.classList.add('open');
+        this.elements.timezoneSearch?.focus();
+    }
+
+    /**
+     * Render timezone options matching a search query
+     */
+    renderTimezoneList(query) {
+        if (!this.elements.timezoneList) return;
+
+        const current = this.countdown.timezone;
+        const detected = TimezoneUtils.detectTimezone();
+        const results = TimezoneUtils.searchTimezones(query);
+
+        const option = (id, label, meta) => `
+            <button class="timezone-option ${id === current ? 'active' : ''}" role="option"
+                    data-timezone="${id}" aria-selected="${id === current}">
+                <span>${label}</span>
+                <span class="timezone-option__meta">${meta}</span>
+            </button>
+        `;
+
+        let html = '';
+        if (!query.trim()) {
+            html += option('', `📍 My timezone (${detected.replace(/_/g, ' ')})`, TimezoneUtils.getOffsetString(detected));
+        }
+        html += results.map(tz => option(
+            tz.id,
+            tz.country ? `${tz.city}, ${tz.country}` : tz.city,
+            TimezoneUtils.getOffsetString(tz.id)
+        )).join('');
+
+        this.elements.timezoneList.innerHTML = html ||
+            '<p class="timezone-list__empty">No matching timezones</p>';
+    }
+
+    /**
+     * Switch the countdown to a timezone (null follows the device) and persist it
+     */
+    setTimezone(timezone) {
+        const tz = this.applyTimezone(timezone);
+        StorageManager.savePreferences({ timezone });
+        this.showToast(`🌍 Counting down to midnight in ${TimezoneUtils.getTimezoneLabel(tz)}`);
+    }
+
+    /**
+     * Count down in a timezone without saving it; invalid or empty values follow the device.
+     * Returns the timezone used.
+     */
+    applyTimezone(timezone) {
+        const tz = timezone && TimezoneUtils.isValidTimezone(timezone) ? timezone : TimezoneUtils.detectTimezone();
+
+        if (tz !== this.countdown.timezone) {
+            this.countdown.stop();
+            this.countdown.setTimezone(tz);
+            this.countdown.start();
+
+            if (!this.countdown.isCustom) {
+                this.currentYear = this.countdown.targetYear;
+                this.updateDocumentTitle();
+            }
+        }
+
+        this.updateTimezoneDisplay();
+        return tz;
+    }
+
+    /**
+     * Update timezone button labels
+     */
+    updateTimezoneDisplay() {
+        const label = TimezoneUtils.getTimezoneLabel(this.countdown.timezone);
+        if (this.elements.timezoneDisplay) {
+            this.elements.timezoneDisplay.textContent = label;
+        }
+        if (this.elements.settingsTimezone) {
+            this.elements.settingsTimezone.textContent = label;
+        }
+    }
+
+    /**
+     * Create custom countdown
+     */
+    createCustomCountdown() {
+        const editId = document.getElementById('custom-id')?.value;
+        const name = document.getElementById('custom-name')?.value?.trim();
+        const date = document.getElementById('custom-date')?.value;
+
+        if (!name || !date) {
+            this.showToast('⚠️ Please fill in all fields');
+            return;
+        }
+
+        // Editing an existing countdown - save and go back to the library
+        const existing = editId ? StorageManager.getCustomCountdown(editId) : null;
+        if (existing) {
+            StorageManager.saveCustomCountdown({ ...existing, name, date });
+            if (this.activeCountdownId === editId) {
+                this.activateCountdown(editId);
+            }
+            this.closeModal();
+            this.showToast('✅ Countdown updated');
+            this.openLibrary();
+            return;
+        }
+
+        // Save custom countdown and switch to it
+        const id = StorageManager.saveCustomCountdown({ name, date });
+        this.activateCountdown(id);
+
+        // Generate shareable URL
+        const url = ShareManager.generateShareUrl(this.getShareOptions());
+
+        this.closeModal();
+        this.showToast(`✅ Custom countdown created!`);
+
+        // Show share prompt
+        setTimeout(() => {
+            if (confirm('Share your custom countdown?')) {
+                ShareManager.copyToClipboard(url);
+                this.showToast('📋 Link copied!');
+            }
+        }, 500);
+    }
+
+    /**
+     * Give the countdown its saved progress anchor; saved custom countdowns
+     * default to their creation time
+     */
+    applyProgressAnchor() {
+        const saved = this.activeCountdownId ? StorageManager.getCustomCountdown(this.activeCountdownId) : null;
+        const anchor = StorageManager.getProgressAnchor(this.getMilestoneKey())
+            || (saved?.createdAt ? { type: 'created', date: new Date(saved.createdAt).toISOString() } : null);
+
+        this.countdown.setProgressAnchor(anchor);
+    }
+
+    /**
+     * Name the ends of the progress bar after its anchor and target
+     */
+    updateProgressLabels() {
+        const countdown = this.countdown;
+        const anchor = countdown.getProgressAnchor();
+        const labels = {
+            yearStart: 'Start of Year',
+            previous: countdown.isCustom ? 'Last Boxing Day' : `Last ${countdown.event.name}`,
+            created: 'Created',
+            custom: anchor.date ? new Date(anchor.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''
+        };
+
+        if (this.elements.progressStartLabel) {
+            this.elements.progressStartLabel.textContent = labels[anchor.type];
+        }
+        if (this.elements.progressEndLabel) {
+            this.elements.progressEndLabel.textContent = countdown.eventName;
+        }
+    }
+
+    /**
+     * Build the extra progress bars the user switched on
+     */
+    renderProgressMetrics() {
+        if (!this.elements.progressMetrics) return;
+
+        this.elements.progressMetrics.innerHTML = this.countdown.getProgressMetrics(this.progressMetrics).map(metric => `
+            <div class="progress-metric" data-metric="${metric.id}">
+                <span>${metric.label}</span>
+                <span class="progress-metric__value">${metric.progress}%</span>
+                <div class="progress-bar">
+                    <div class="progress-bar__fill" style="width: ${metric.progress}%"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Refresh the extra progress bars on a tick
+     */
+    updateProgressMetrics() {
+        if (!this.progressMetrics.length || !this.elements.progressMetrics) return;
+
+        this.countdown.getProgressMetrics(this.progressMetrics).forEach(metric => {
+            const el = this.elements.progressMetrics.querySelector(`[data-metric="${metric.id}"]`);
+            if (!el) return;
+            el.querySelector('.progress-metric__value').textContent = `${metric.progress}%`;
+            el.querySelector('.progress-bar__fill').style.width = `${metric.progress}%`;
+        });
+    }
+
+    /**
+     * Open the progress settings for the countdown on screen
+     */
+    openProgressSettings() {
+        this.closeModal();
+
+        const countdown = this.countdown;
+        const anchor = countdown.getProgressAnchor();
+        const select = this.elements.progressAnchor;
+        if (select) {
+            select.length = 0;
+            select.add(new Option('Start of the year', 'yearStart'));
+            select.add(new Option(countdown.isCustom ? 'The previous Boxing Day' : `The previous ${countdown.event.name}`, 'previous'));
+            if (this.activeCountdownId) {
+                select.add(new Option('When this countdown was created', 'created'));
+            }
+            select.add(new Option('A date I choose', 'custom'));
+            select.value = anchor.type;
+        }
+        if (this.elements.progressAnchorDate) {
+            const date = anchor.type === 'custom' ? new Date(anchor.date) : null;
+            this.elements.progressAnchorDate.value = date
+                ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+                : '';
+        }
+        if (this.elements.progressAnchorDateGroup) {
+            this.elements.progressAnchorDateGroup.hidden = anchor.type !== 'custom';
+        }
+        if (this.elements.progressMetricOptions) {
+            this.elements.progressMetricOptions.innerHTML = Object.entries(CountdownEngine.PROGRESS_METRICS).map(([id, metric]) => `
+                <label class="milestone-toggle">
+                    <input type="checkbox" value="${id}" ${this.progressMetrics.includes(id) ? 'checked' : ''}>
+                    ${metric.label}
+                </label>
+            `).join('');
+        }
+
+        this.elements.progressModal?.classList.add('open');
+    }
+
+    /**
+     * Apply and remember the progress settings form
+     */
+    saveProgressSettings() {
+        const type = this.elements.progressAnchor?.value || 'yearStart';
+        this.elements.progressAnchorDateGroup.hidden = type !== 'custom';
+
+        let anchor = { type };
+        if (type === 'created') {
+            const saved = StorageManager.getCustomCountdown(this.activeCountdownId);
+            anchor.date = new Date(saved.createdAt).toISOString();
+        } else if (type === 'custom') {
+            const value = this.elements.progressAnchorDate?.value;
+            if (!value) return;
+
+            anchor.date = new Date(`${value}T00:00`).toISOString();
+            if (new Date(anchor.date) >= this.countdown.targetDate) {
+                this.showToast('⚠️ The start date must be before the countdown ends');
+                return;
+            }
+        }
+
+        StorageManager.saveProgressAnchor(this.getMilestoneKey(), anchor);
+        this.countdown.setProgressAnchor(anchor);
+
+        this.progressMetrics = [...(this.elements.progressMetricOptions?.querySelectorAll('input:checked') || [])]
+            .map(input => input.value);
+        StorageManager.savePreferences({ progressMetrics: this.progressMetrics });
+
+        this.updateProgressLabels();
+        this.renderProgressMetrics();
+        this.countdown.update();
+    }
+
+    /**
+     * Switch the main countdown to a saved countdown (null for the preset event)
+     */
+    activateCountdown(id) {
+        const saved = id ? StorageManager.getCustomCountdown(id) : null;
+
+        this.countdown.stop();
+        if (saved) {
+            this.countdown.setCustomDate(saved.date, saved.name);
+        } else {
+            this.countdown.setEvent();
+            this.currentYear = this.countdown.targetYear;
+        }
+        this.countdown.start();
+
+        this.activeCountdownId = saved ? saved.id : null;
+        StorageManager.setActiveCountdown(this.activeCountdownId);
+        this.applyProgressAnchor();
+        this.endCelebration();
+        this.updateDocumentTitle();
+    }
+
+    /**
+     * Restore the last active saved countdown unless the URL asked for a target
+     */
+    restoreActiveCountdown() {
+        if (this.hasUrlTarget) return;
+
+        const id = StorageManager.getActiveCountdown();
+        if (id && StorageManager.getCustomCountdown(id)) {
+            this.activateCountdown(id);
+        }
+    }
+
+    /**
+     * Open saved countdowns library
+     */
+    openLibrary() {
+        this.closeModal();
+        this.renderLibrary();
+        this.elements.libraryModal?.classList.add('open');
+        this.libraryUnsubscribe = this.countdown.subscribe(() => this.updateLibraryRemaining());
+    }
+
+    /**
+     * Render saved countdowns, with the preset event's countdown first
+     */
+    renderLibrary() {
+        if (!this.elements.libraryList) return;
+
+        const preset = new CountdownEngine({
+            timezone: this.countdown.timezone,
+            clock: this.countdown.clock,
+            holidayRegion: this.countdown.holidayRegion,
+            holidayTarget: this.countdown.holidayTarget,
+            event: this.countdown.eventId
+        }).setEvent();
+        const saved = Object.values(StorageManager.getCustomCountdowns())
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        const item = ({ id, name, date, target, editable }) => `
+            <li class="library-item ${(id || null) === this.activeCountdownId ? 'library-item--active' : ''}"
+                data-id="${id}">
+                <span class="library-item__info">
+                    <span class="library-item__name">${BoxingDayApp.escapeHtml(name)}</span>
+                    <span class="library-item__meta">${date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                    <span class="library-item__remaining" data-target="${target}"></span>
+                </span>
+                <span class="library-item__actions">
+                    <button class="library-item__btn" data-action="open">Open</button>
+                    <button class="library-item__btn" data-action="calendar" title="Add to calendar (.ics)" aria-label="Add to calendar">📅</button>
+                    ${editable ? `
+                        <button class="library-item__btn" data-action="edit">Edit</button>
+                        <button class="library-item__btn library-item__btn--danger" data-action="delete">Delete</button>
+                    ` : ''}
+                </span>
+            </li>
+        `;
+
+        this.elements.libraryList.innerHTML = [
+            item({
+                id: '',
+                name: `${preset.eventName} ${preset.targetYear}`,
+                date: preset.targetDate,
+                target: preset.targetDate.getTime(),
+                editable: false
+            }),
+            ...saved.map(countdown => item({
+                id: countdown.id,
+                name: countdown.name,
+                date: new Date(countdown.date),
+                target: new Date(countdown.date).getTime(),
+                editable: true
+            }))
+        ].join('') + (saved.length ? '' : '<li class="library-list__empty">No saved countdowns yet</li>');
+
+        this.updateLibraryRemaining();
+    }
+
+    /**
+     * Refresh the live remaining time of each library entry
+     */
+    updateLibraryRemaining() {
+        const now = this.countdown.getHighPrecisionTime();
+        this.elements.libraryList?.querySelectorAll('[data-target]').forEach(el => {
+            const diff = Number(el.dataset.target) - now;
+            el.textContent = diff > 0 ? CountdownEngine.formatDuration(diff) : '🎉 Reached';
+        });
+    }
+
+    /**
+     * Handle open/edit/delete from the library
+     */
+    handleLibraryAction(action, id) {
+        const saved = id ? StorageManager.getCustomCountdown(id) : null;
+
+        switch (action) {
+            case 'open':
+                this.activateCountdown(id || null);
+                this.closeModal();
+                this.showToast(`⏱️ Counting down to ${saved ? saved.name : this.countdown.event.name}`);
+                break;
+            case 'edit':
+                if (!saved) return;
+                this.closeModal();
+                this.openCustomModal(saved);
+                break;
+            case 'calendar':
+                this.exportCalendar(saved);
+                break;
+            case 'delete':
+                if (!saved || !confirm(`Delete "${saved.name}"?`)) return;
+                StorageManager.deleteCustomCountdown(id);
+                if (this.activeCountdownId === id) {
+                    this.activateCountdown(null);
+                }
+                this.renderLibrary();
+                this.showToast('🗑️ Countdown deleted');
+                break;
+        }
+    }
+
+    /**
+     * Download an .ics file for a saved countdown, or the preset event in every
+     * year of the range, with alarms matching its milestone reminders
+     */
+    exportCalendar(saved) {
+        if (saved) {
+            const ics = CalendarManager.exportCustomCountdown(saved, MilestoneManager.getMilestones(saved.id));
+            CalendarManager.download(ics, `${saved.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'countdown'}.ics`);
+        } else {
+            const ics = CalendarManager.exportEvent(this.countdown, MilestoneManager.getMilestones(this.countdown.eventId));
+            CalendarManager.download(ics, `${this.countdown.eventId}.ics`);
+        }
+        this.showToast('📅 Calendar file downloaded');
+    }
+
+    /**
+     * Create custom countdowns from the events in an .ics file
+     */
+    async importCalendarFile(file) {
+        try {
+            const ids = CalendarManager.importCalendar(await file.text());
+            if (!ids.length) {
+                this.showToast('⚠️ No events found in that calendar file');
+                return;
+            }
+
+            this.renderLibrary();
+            this.showToast(`📅 Imported ${ids.length} countdown${ids.length === 1 ? '' : 's'}`);
+        } catch (e) {
+            console.error('Calendar import failed:', e);
+            this.showToast('⚠️ Could not read that calendar file');
+        }
+    }
+
+    /**
+     * Show the event and year picker, flagging weekend Boxing Days and their substitute bank holiday
+     */
+    showYearSelector() {
+        this.closeModal();
+        if (!this.elements.yearList) return;
+
+        const events = this.elements.eventSelect;
+        if (events && !events.options.length) {
+            EventPresets.getList().forEach(event => events.add(new Option(`${event.emoji} ${event.name}`, event.id)));
+        }
+        if (events) events.value = this.countdown.eventId;
+
+        const select = this.elements.holidayRegion;
+        if (select && !select.options.length) {
+            HolidayRules.getRegionList().forEach(region => select.add(new Option(region.name, region.id)));
+        }
+        if (select) select.value = HolidayRules.getRegion(this.countdown.holidayRegion).id;
+        if (this.elements.holidayTarget) this.elements.holidayTarget.value = this.countdown.holidayTarget;
+
+        this.renderYearList();
+        this.elements.yearModal?.classList.add('open');
+        this.elements.yearList.querySelector('[aria-current]')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * List each year's date of the preset event; Boxing Day as the holiday region observes it
+     */
+    renderYearList() {
+        const region = HolidayRules.getRegion(this.countdown.holidayRegion);
+        if (this.elements.holidayOptions) {
+            this.elements.holidayOptions.hidden = this.countdown.eventId !== 'boxingday';
+        }
+
+        const now = this.countdown.getHighPrecisionTime();
+        const selected = this.countdown.isCustom ? null : this.currentYear;
+
+        this.elements.yearList.innerHTML = this.countdown.getOccurrences().map(day => {
+            // Past once the event's own day (its celebration) is over in the countdown's timezone
+            const eventDate = this.countdown.getEventDate(day.year, this.countdown.event);
+            const past = this.countdown.getCelebrationEnd(eventDate).getTime() <= now;
+            let note = 'Public holiday on the day';
+            if (day.publicHoliday === null) {
+                note = '';
+            } else if (!day.publicHoliday) {
+                note = `Not a public holiday in ${region.name}`;
+            } else if (day.substitute) {
+                note = `Public holiday moves to ${day.substituteDay} ${day.substitute.getDate()} December`;
+            } else if (day.isWeekend) {
+                note = 'Falls on a weekend - no substitute day';
+            }
+
+            return `
+                <li>
+                    <button type="button" class="library-item year-option ${day.year === selected ? 'library-item--active' : ''} ${past ? 'year-option--past' : ''}"
+                        data-year="${day.year}" ${day.year === selected ? 'aria-current="true"' : ''}>
+                        <span class="library-item__info">
+                            <span class="library-item__name">${day.year} · ${day.holidayName}</span>
+                            <span class="library-item__meta">${day.formatted}</span>
+                            ${past || note ? `<span class="library-item__meta">${past ? 'Already passed' : note}</span>` : ''}
+                        </span>
+                        ${day.isWeekend && day.publicHoliday !== null ? `<span class="year-option__badge">${day.dayOfWeek}</span>` : ''}
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Change the holiday region or calendar/observed target and remember it
+     */
+    setHolidayRule(changes) {
+        this.countdown.stop();
+        this.countdown.setHoliday(changes);
+        this.countdown.start();
+
+        if (!this.countdown.isCustom) {
+            this.currentYear = this.countdown.targetYear;
+            this.updateDocumentTitle();
+        }
+
+        StorageManager.savePreferences({
+            holidayRegion: this.countdown.holidayRegion,
+            holidayTarget: this.countdown.holidayTarget
+        });
+        this.renderYearList();
+
+        const region = HolidayRules.getRegion(this.countdown.holidayRegion);
+        this.showToast(this.countdown.holidayTarget === 'observed'
+            ? `🗓️ Counting down to the observed ${region.holiday} in ${region.name}`
+            : `🗓️ Counting down to 26 December (${region.name})`);
+    }
+
+    /**
+     * Count down to the preset event in a given year
+     */
+    selectYear(year) {
+        this.closeModal();
+
+        this.currentYear = year;
+        this.countdown.stop();
+        this.countdown.setEvent(this.countdown.eventId, this.currentYear);
+        this.countdown.start();
+
+        this.activeCountdownId = null;
+        StorageManager.setActiveCountdown(null);
+        this.endCelebration();
+        this.updateDocumentTitle();
+        this.showToast(`📅 Countdown to ${this.countdown.eventName} ${this.currentYear}`);
+    }
+
+    /**
+     * Switch to a preset event's next occurrence and remember the choice
+     */
+    selectEvent(eventId) {
+        this.countdown.stop();
+        this.countdown.setEvent(eventId);
+        this.countdown.start();
+
+        this.currentYear = this.countdown.targetYear;
+        this.activeCountdownId = null;
+        StorageManager.setActiveCountdown(null);
+        StorageManager.savePreferences({ event: this.countdown.eventId });
+        this.applyProgressAnchor();
+        this.endCelebration();
+        this.updateDocumentTitle();
+        this.renderYearList();
+        this.showToast(`${this.countdown.event.emoji} Counting down to ${this.countdown.eventName}`);
+    }
+
+    /**
+     * Update document title
+     */
+    updateDocumentTitle() {
+        const countdown = this.countdown;
+
+        if (countdown.isCustom) {
+            this.updateProgressLabels();
+            document.title = `${countdown.eventName} Countdown`;
+            if (this.elements.headerTitle) {
+                this.elements.headerTitle.textContent = countdown.eventName;
+            }
+            if (this.elements.headerSubtitle) {
+                this.elements.headerSubtitle.textContent = 'Countdown to Your Event';
+            }
+            if (this.elements.yearDisplay) {
+                this.elements.yearDisplay.textContent = countdown.targetDate.toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+            }
+            return;
+        }
+
+        this.updateProgressLabels();
+        document.title = `${countdown.eventName} Countdown ${this.currentYear} | Ultimate Holiday Timer`;
+
+        if (this.elements.headerTitle) {
+            this.elements.headerTitle.textContent = countdown.eventName;
+        }
+        if (this.elements.headerSubtitle) {
+            this.elements.headerSubtitle.textContent = countdown.event.tagline;
+        }
+        if (this.elements.yearDisplay) {
+            const { month, day } = countdown.getTargetParts(this.currentYear);
+            const date = new Date(this.currentYear, month, day).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+            const observed = countdown.eventId === 'boxingday' && day !== 26;
+            this.elements.yearDisplay.textContent = observed ? `${date} (observed)` : date;
+        }
+    }
+
+    /**
+     * Load configuration from URL parameters
+     */
+    loadFromUrl() {
+        const params = ShareManager.parseUrlParams();
+        this.urlParams = params;
+        this.hasUrlTarget = Boolean(params.year || params.customDate);
+
+        if (params.error) {
+            this.showToast(`⚠️ Couldn't open that share link: ${params.error}`);
+        }
+
+        if (params.year) {
+            this.currentYear = params.year;
+            this.countdown.stop();
+            this.countdown.setEvent(params.event || 'boxingday', params.year);
+            this.countdown.start();
+        }
+
+        // A shared custom theme is shown without saving it; ours wins if we already have it
+        if (params.customTheme && !this.themeManager.themes[params.theme]) {
+            this.themeManager.addCustomTheme(params.theme, params.customTheme);
+            this.themeManager.setTheme(params.theme);
+            this.populateThemeMenu();
+            this.updateThemeDisplay();
+            this.showToast(`🎨 Showing the "${params.customTheme.name}" theme - choose Edit this theme to keep it`);
+        } else if (params.theme && this.themeManager.themes[params.theme]) {
+            this.selectTheme(params.theme);
+        }
+
+        if (params.customDate) {
+            this.countdown.stop();
+            this.countdown.setCustomDate(params.customDate, params.customName || 'Custom Event');
+            this.countdown.start();
+
+        }
+
+        // Shared reminders fill the shared slot, or a preset event's list never customised here
+        if (params.milestones && this.hasUrlTarget) {
+            const key = this.getMilestoneKey();
+            if (key === 'shared' || !StorageManager.getMilestones(key)) {
+                MilestoneManager.saveMilestones(key, params.milestones.map(offset => MilestoneManager.create(offset)));
+            }
+        }
+
+        if (params.view === 'world') {
+            this.toggleWorldBoard(true);
+        }
+    }
+
+    /**
+     * Wire up the settings panel and follow preference changes from anywhere in the app
+     */
+    initSettings() {
+        const unitOptions = Object.entries(CountdownEngine.UNIT_SETS).map(([id, units]) =>
+            `<option value="${id}">${units.map(u => u[0].toUpperCase() + u.slice(1)).join(' / ')}</option>`
+        ).join('');
+        this.elements.settingsForm?.querySelector('[data-pref="units"]')?.insertAdjacentHTML('beforeend', unitOptions);
+
+        this.elements.settingsBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSettings();
+        });
+        this.elements.settingsTimezone?.addEventListener('click', () => {
+            this.toggleSettings(false);
+            this.openTimezonePicker();
+        });
+        this.elements.settingsForm?.addEventListener('change', (e) => this.saveSetting(e.target));
+        this.elements.settingsForm?.addEventListener('input', (e) => {
+            if (e.target.dataset.pref === 'volume' && this.elements.settingsVolumeValue) {
+                this.elements.settingsVolumeValue.textContent = `${Math.round(e.target.value * 100)}%`;
+            }
+        });
+        this.elements.settingsForm?.addEventListener('submit', (e) => e.preventDefault());
+        this.elements.settingsBackup?.addEventListener('click', () => this.openBackup());
+
+        // Close the panel on outside click
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.settings-panel, #settings-btn')) {
+                this.toggleSettings(false);
+            }
+        });
+
+        this.preferencesUnsubscribe = StorageManager.onPreferencesChange(({ changes }) => {
+            this.applyPreferenceChanges(changes);
+        });
+    }
+
+    /**
+     * Open or close the settings panel
+     */
+    toggleSettings(open = !this.elements.settingsPanel?.classList.contains('open')) {
+        if (!this.elements.settingsPanel) return;
+
+        if (open) this.renderSettings();
+        this.elements.settingsPanel.classList.toggle('open', open);
+        this.elements.settingsBtn?.classList.toggle('control-btn--active', open);
+        this.elements.settingsBtn?.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Fill the settings panel from the saved preferences and what is on screen
+     */
+    renderSettings() {
+        const form = this.elements.settingsForm;
+        if (!form) return;
+
+        const prefs = {
+            ...StorageManager.getPreferences(),
+            // A share link can show a theme or units that are not saved
+            theme: this.themeManager.currentTheme,
+            units: this.countdown.unitSet
+        };
+
+        const themeSelect = form.querySelector('[data-pref="theme"]');
+        if (themeSelect) {
+            themeSelect.innerHTML = this.themeManager.getThemeList().map(theme =>
+                `<option value="${theme.id}">${BoxingDayApp.escapeHtml(theme.name)}</option>`
+            ).join('');
+        }
+
+        form.querySelectorAll('[data-pref]').forEach(control => {
+            const value = prefs[control.dataset.pref];
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else {
+                control.value = String(value);
+            }
+        });
+
+        if (this.elements.settingsVolumeValue) {
+            this.elements.settingsVolumeValue.textContent = `${Math.round(prefs.volume * 100)}%`;
+        }
+        this.updateTimezoneDisplay();
+    }
+
+    /**
+     * Save the preference a settings control is bound to
+     */
+    saveSetting(control) {
+        const key = control.dataset.pref;
+        if (!key) return;
+
+        if (key === 'notificationsEnabled' && control.checked) {
+            // Needs the browser's permission; the checkbox follows the outcome
+            this.enableNotifications().then(() => this.renderSettings());
+            return;
+        }
+
+        const value = control.type === 'checkbox' ? control.checked :
+            control.type === 'range' ? Number(control.value) : control.value;
+        StorageManager.savePreferences({ [key]: value });
+
+        if (key === 'volume' && NotificationManager.soundEnabled) {
+            NotificationManager.playTick();
+        }
+    }
+
+    /**
+     * Wire up the backup modal and sync with the configured server on load
+     */
+    initSync() {
+        this.elements.backupExport?.addEventListener('click', () => this.exportBackup());
+        this.elements.backupImport?.addEventListener('click', () => this.elements.backupImportFile?.click());
+        this.elements.backupImportFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.restoreBackupFile(file);
+        });
+        this.elements.backupFileSync?.addEventListener('click', () => this.elements.backupSyncFile?.click());
+        this.elements.backupSyncFile?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.syncWith(new FileSyncAdapter({ file }));
+        });
+        this.elements.syncForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            SyncManager.saveSettings({
+                url: this.elements.syncUrl.value.trim(),
+                token: this.elements.syncToken.value.trim()
+            });
+            this.syncWith(SyncManager.getAdapter());
+        });
+        this.elements.syncDisconnect?.addEventListener('click', () => {
+            SyncManager.clearSettings();
+            this.renderSyncStatus();
+            this.showToast('☁️ Sync turned off');
+        });
+
+        if (SyncManager.getSettings()?.url) {
+            this.syncWith(SyncManager.getAdapter(), { quiet: true });
+        }
+    }
+
+    /**
+     * Open the backup & sync modal
+     */
+    openBackup() {
+        this.closeModal();
+        this.toggleSettings(false);
+
+        const settings = SyncManager.getSettings();
+        if (this.elements.syncUrl) this.elements.syncUrl.value = settings?.url || '';
+        if (this.elements.syncToken) this.elements.syncToken.value = settings?.token || '';
+        this.renderSyncStatus();
+        this.elements.backupModal?.classList.add('open');
+    }
+
+    /**
+     * Show whether sync is set up and when it last ran
+     */
+    renderSyncStatus(error = null) {
+        const settings = SyncManager.getSettings();
+        if (this.elements.syncDisconnect) this.elements.syncDisconnect.hidden = !settings?.url;
+        if (!this.elements.syncStatus) return;
+
+        if (error) {
+            this.elements.syncStatus.textContent = `Sync failed: ${error}`;
+        } else if (settings?.lastSync) {
+            this.elements.syncStatus.textContent = `Last synced ${new Date(settings.lastSync).toLocaleString()}`;
+        } else {
+            this.elements.syncStatus.textContent = settings?.url ? 'Not synced yet' : 'Sync is off';
+        }
+    }
+
+    /**
+     * Download everything this device stores
+     */
+    exportBackup() {
+        BackupManager.download(BackupManager.createBackup());
+        this.showToast('📤 Backup exported');
+    }
+
+    /**
+     * Restore a backup file with the strategy picked in the modal
+     */
+    async restoreBackupFile(file) {
+        const strategy = this.elements.backupStrategy?.value || 'merge';
+        try {
+            const backup = BackupManager.parseBackup(await file.text());
+            if (strategy === 'replace' && !confirm('Replace everything saved on this device with the backup?')) return;
+
+            this.applyRestoredData(BackupManager.restoreBackup(backup, strategy), '📥 Backup restored');
+        } catch (e) {
+            console.error('Backup restore failed:', e);
+            this.showToast(`⚠️ Couldn't restore that backup: ${e.message}`);
+        }
+    }
+
+    /**
+     * Sync through an adapter: the configured server, or a shared backup file.
+     * A quiet sync (on load) only speaks up when something arrived.
+     */
+    async syncWith(adapter, { quiet = false } = {}) {
+        try {
+            const changed = adapter instanceof HttpSyncAdapter
+                ? await SyncManager.syncNow()
+                : await SyncManager.sync(adapter);
+            this.renderSyncStatus();
+
+            if (changed.length || !quiet) {
+                this.applyRestoredData(changed, '🔄 Synced changes from your other devices');
+            }
+        } catch (e) {
+            console.error('Sync failed:', e);
+            this.renderSyncStatus(e.message);
+            if (!quiet) this.showToast(`⚠️ Couldn't sync: ${e.message}`);
+        }
+    }
+
+    /**
+     * Reload so every module picks up restored data
+     */
+    applyRestoredData(changed, message) {
+        if (!changed.length) {
+            this.showToast('✅ Already up to date');
+            return;
+        }
+
+        this.showToast(`${message} - reloading`);
+        setTimeout(() => window.location.reload(), 1500);
+    }
+
+    /**
+     * Bring the page in line with changed preferences. Changes may come from
+     * the settings panel, shortcuts or other controls, so each step is idempotent.
+     */
+    applyPreferenceChanges(changes) {
+        if ('theme' in changes && changes.theme !== this.themeManager.currentTheme) {
+            this.themeManager.setTheme(changes.theme);
+            this.updateThemeDisplay();
+        }
+        if ('timezone' in changes) {
+            this.applyTimezone(changes.timezone);
+        }
+        if ('units' in changes && changes.units !== this.countdown.unitSet) {
+            this.setUnits(changes.units);
+        }
+        if ('soundEnabled' in changes) {
+            NotificationManager.soundEnabled = changes.soundEnabled;
+            this.elements.soundBtn?.classList.toggle('control-btn--active', changes.soundEnabled);
+        }
+        if ('volume' in changes) {
+            NotificationManager.volume = changes.volume;
+        }
+        if ('particleDensity' in changes) {
+            this.particleSystem?.setDensity(changes.particleDensity);
+        }
+        if ('notificationsEnabled' in changes) {
+            NotificationManager.notificationEnabled = changes.notificationsEnabled &&
+                'Notification' in window && Notification.permission === 'granted';
+        }
+        if ('finalMinute' in changes) {
+            this.setFinalMinute(changes.finalMinute);
+        }
+
+        if (this.elements.settingsPanel?.classList.contains('open')) {
+            this.renderSettings();
+        }
+    }
+
+    /**
+     * Load user preferences from storage
+     */
+    loadPreferences() {
+        const prefs = StorageManager.getPreferences();
+        // Units and timezone from a share link apply without replacing the saved ones
+        const units = this.urlParams?.units || prefs.units;
+        const timezone = this.urlParams?.timezone || prefs.timezone;
+
+        NotificationManager.loadPreference();
+        NotificationManager.notificationEnabled = prefs.notificationsEnabled &&
+            'Notification' in window && Notification.permission === 'granted';
+        this.setUnits(units);
+        this.progressMetrics = prefs.progressMetrics || [];
+        this.renderProgressMetrics();
+        this.setFinalMinute(Boolean(prefs.finalMinute));
+        this.particleSystem?.setDensity(prefs.particleDensity);
+        this.elements.soundBtn?.classList.toggle('control-btn--active', prefs.soundEnabled);
+
+        // The saved event applies unless a link picked the target
+        if (!this.hasUrlTarget && prefs.event !== this.countdown.eventId) {
+            this.countdown.stop();
+            this.countdown.setEvent(prefs.event);
+            this.countdown.start();
+            this.currentYear = this.countdown.targetYear;
+        }
+
+        if (prefs.holidayRegion || prefs.holidayTarget !== 'calendar') {
+            this.countdown.stop();
+            this.countdown.setHoliday({ region: prefs.holidayRegion, target: prefs.holidayTarget });
+            this.countdown.start();
+
+            if (!this.countdown.isCustom) {
+                this.currentYear = this.countdown.targetYear;
+            }
+        }
+
+        // Restore saved timezone (falls back to the detected one)
+        this.applyTimezone(timezone);
+        this.renderSettings();
+    }
+
+    /**
+     * Escape user-provided text for use in HTML templates
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message) {
+        if (!this.elements.toastContainer) {
+            // Create toast container if not exists
+            const container = document.createElement('div');
+            container.id = 'toast-container';
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+            this.elements.toastContainer = container;
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.textContent = message;
+
+        this.elements.toastContainer.appendChild(toast);
 
         setTimeout(() => {
             toast.remove();
@@ -633,8 +2836,15 @@ class BoxingDayApp {
     }
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// Remaining time (ms) the final-minute countdown takes over for
+BoxingDayApp.FINAL_MINUTE = 60 * 1000;
+
+// Hosts where ?now=, ?speed= and ?debug work without the developer flag
+BoxingDayApp.DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Initialize app when DOM is ready and saved data has loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    await StorageManager.init();
     window.boxingDayApp = new BoxingDayApp();
     window.boxingDayApp.init();
 });
@@ -0,0 +1,223 @@
+/**
+ * Boxing Day Countdown - Host Embed Helper
+ * Standalone script for pages that embed the countdown widget. Wraps the
+ * widget's postMessage protocol:
+ *
+ * Host -> widget: { type: 'boxingday-command', id, command, args }
+ *   setTarget { year?, date?, name?, timezone? }   setTheme { theme }
+ *   setUnits { units }   pause   resume   getState
+ *
+ * Widget -> host: { type: 'boxingday-widget-<event>', ...state }
+ *   ready, tick (every tickInterval ms, default 1000), milestone (id, offset,
+ *   label), complete, height ({ height }), result ({ id, ok, state | error })
+ *
+ * Widget URL options: year, date, title, tz, theme, units, particles, compact,
+ * hideLink, transparent, progress (show the progress bar), anchor ('yearStart',
+ * 'previous' or an ISO start date), metrics (comma-separated extra bars:
+ * season, advent, year), tickInterval and origins (comma-separated host
+ * origins allowed to send commands and receive events). State includes
+ * progress, the percentage from the anchor to the target.
+ *
+ * Example - reveal the sale banner when the countdown hits zero:
+ *
+ *   const countdown = new BoxingDayEmbed('#countdown', { params: { theme: 'gold' } });
+ *   countdown.on('complete', () => document.querySelector('#sale-banner').hidden = false);
+ */
+
+class BoxingDayEmbed {
+    constructor(target, options = {}) {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!element) throw new Error('BoxingDayEmbed: target element not found');
+
+        this.options = {
+            src: 'https://boxingdaycountdown.com/embed.html',
+            params: {},
+            autoResize: true,
+            commandTimeout: 5000,
+            ...options
+        };
+        this.listeners = {};
+        this.pending = new Map();
+        this.nextId = 1;
+        this.state = null;
+
+        const existing = element.tagName === 'IFRAME';
+        this.iframe = existing ? element : this.createIframe(element);
+        this.origin = new URL(this.iframe.src, window.location.href).origin;
+
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+
+        // An existing iframe may have sent 'ready' before we listened, so ask it directly
+        if (existing) {
+            this.iframe.contentWindow?.postMessage({ type: 'boxingday-command', id: 0, command: 'getState' }, this.origin);
+        }
+    }
+
+    /**
+     * Create the widget iframe inside a container, locked to this page's origin
+     */
+    createIframe(container) {
+        const url = new URL(this.options.src, window.location.href);
+        const params = { origins: window.location.origin, ...this.options.params };
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== false) {
+                url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+
+        const iframe = document.createElement('iframe');
+        iframe.src = url.toString();
+        iframe.title = 'Boxing Day Countdown';
+        iframe.style.cssText = 'border:0;width:100%;max-width:500px;height:200px';
+        container.appendChild(iframe);
+        return iframe;
+    }
+
+    /**
+     * Listen for a widget event; returns an unsubscribe function
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(fn => fn !== handler);
+        };
+    }
+
+    /**
+     * Listen for the next occurrence of an event only
+     */
+    once(event, handler) {
+        const off = this.on(event, (data) => {
+            off();
+            handler(data);
+        });
+        return off;
+    }
+
+    /**
+     * Call every listener for an event
+     */
+    dispatch(event, data) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (e) {
+                console.error(`BoxingDayEmbed ${event} handler failed:`, e);
+            }
+        });
+    }
+
+    /**
+     * Route messages from our widget (and only our widget)
+     */
+    handleMessage(e) {
+        if (e.source !== this.iframe.contentWindow || e.origin !== this.origin) return;
+
+        const type = e.data?.type || '';
+        if (!type.startsWith('boxingday-widget-')) return;
+
+        const event = type.slice('boxingday-widget-'.length);
+        const data = { ...e.data };
+        delete data.type;
+
+        if (event === 'result' && data.id === 0) {
+            if (data.ok) this.resolveReady(data.state);
+            return;
+        }
+        if (event === 'result') {
+            const request = this.pending.get(data.id);
+            if (!request) return;
+            this.pending.delete(data.id);
+            clearTimeout(request.timer);
+            if (data.ok) {
+                this.state = data.state;
+                request.resolve(data.state);
+            } else {
+                request.reject(new Error(data.error));
+            }
+            return;
+        }
+
+        if (event === 'height' && this.options.autoResize) {
+            this.iframe.style.height = `${data.height}px`;
+        }
+        if (data.target) {
+            this.state = data;
+        }
+
+        this.dispatch(event, data);
+
+        if (event === 'ready') {
+            this.resolveReady(data);
+            // A target already in the past when the widget loads counts as complete too
+            if (data.isComplete) this.dispatch('complete', data);
+        }
+    }
+
+    /**
+     * Send a command once the widget is ready; resolves with the new state
+     */
+    async send(command, args = {}) {
+        await this.ready;
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`BoxingDayEmbed: ${command} timed out`));
+            }, this.options.commandTimeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.iframe.contentWindow.postMessage({ type: 'boxingday-command', id, command, args }, this.origin);
+        });
+    }
+
+    setTarget(target) {
+        return this.send('setTarget', target);
+    }
+
+    setTheme(theme) {
+        return this.send('setTheme', { theme });
+    }
+
+    setUnits(units) {
+        return this.send('setUnits', { units });
+    }
+
+    pause() {
+        return this.send('pause');
+    }
+
+    resume() {
+        return this.send('resume');
+    }
+
+    getState() {
+        return this.send('getState');
+    }
+
+    /**
+     * Stop listening and reject outstanding commands
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error('BoxingDayEmbed destroyed'));
+        });
+        this.pending.clear();
+        this.listeners = {};
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.BoxingDayEmbed = BoxingDayEmbed;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoxingDayEmbed };
+}
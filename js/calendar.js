@@ -0,0 +1,380 @@
+/**
+ * Boxing Day Countdown - Calendar (.ics) Export & Import
+ * Exports countdown targets as iCalendar events whose VALARMs follow the
+ * countdown's milestone reminders, and imports VEVENTs as custom countdowns
+ */
+
+const CalendarManager = {
+    prodId: '-//BoxingDayCountdown.com//Countdown Hub//EN',
+    domain: 'boxingdaycountdown.com',
+
+    // Windows zone names Outlook and Exchange write as TZID
+    windowsZones: {
+        'GMT Standard Time': 'Europe/London',
+        'Greenwich Standard Time': 'Atlantic/Reykjavik',
+        'W. Europe Standard Time': 'Europe/Berlin',
+        'Romance Standard Time': 'Europe/Paris',
+        'Central Europe Standard Time': 'Europe/Budapest',
+        'Eastern Standard Time': 'America/New_York',
+        'Central Standard Time': 'America/Chicago',
+        'Mountain Standard Time': 'America/Denver',
+        'Pacific Standard Time': 'America/Los_Angeles',
+        'E. South America Standard Time': 'America/Sao_Paulo',
+        'India Standard Time': 'Asia/Kolkata',
+        'China Standard Time': 'Asia/Shanghai',
+        'Tokyo Standard Time': 'Asia/Tokyo',
+        'AUS Eastern Standard Time': 'Australia/Sydney',
+        'New Zealand Standard Time': 'Pacific/Auckland',
+        'UTC': 'UTC'
+    },
+
+    /**
+     * Build a calendar of the engine's preset event in every year of its range.
+     * Midnight events are all-day, so alarms fire relative to midnight
+     * wherever the user is; others (New Year's Eve) are exported at their
+     * time in the engine's timezone.
+     */
+    exportEvent(engine, milestones = []) {
+        const events = engine.getOccurrences().map(({ year }) => {
+            // The observed holiday when the engine counts down to it
+            const { month, day, hour } = engine.getTargetParts(year);
+            return {
+                uid: `${engine.eventId}-${year}@${this.domain}`,
+                summary: `${engine.eventName} ${year}`,
+                date: hour
+                    ? TimezoneUtils.zonedTimeToUtc(engine.timezone, year, month, day, hour)
+                    : new Date(year, month, day),
+                allDay: !hour,
+                url: engine.eventId === 'boxingday'
+                    ? `https://${this.domain}/?year=${year}`
+                    : `https://${this.domain}/#s=${ShareManager.encodeShareState({ year, event: engine.eventId })}`,
+                milestones
+            };
+        });
+
+        return this.generate(events);
+    },
+
+    /**
+     * Build a calendar holding one saved custom countdown
+     */
+    exportCustomCountdown(countdown, milestones = []) {
+        return this.generate([{
+            uid: `${countdown.id}@${this.domain}`,
+            summary: countdown.name,
+            date: new Date(countdown.date),
+            allDay: false,
+            milestones
+        }]);
+    },
+
+    /**
+     * Serialise events ({ uid, summary, date, allDay, url, milestones }) to iCalendar text
+     */
+    generate(events) {
+        const stamp = this.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                event.allDay
+                    ? `DTSTART;VALUE=DATE:${this.formatDate(event.date)}`
+                    : `DTSTART:${this.formatUtc(event.date)}`,
+                event.allDay
+                    ? `DTEND;VALUE=DATE:${this.formatDate(new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate() + 1))}`
+                    : `DTEND:${this.formatUtc(event.date)}`,
+                `SUMMARY:${this.escapeText(event.summary)}`,
+                'TRANSP:TRANSPARENT'
+            );
+            if (event.url) {
+                lines.push(`URL:${event.url}`);
+            }
+
+            event.milestones.filter(m => m.enabled).forEach(milestone => {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(`${milestone.label} until ${event.summary}!`)}`,
+                    `TRIGGER:-${this.formatDuration(milestone.offset)}`,
+                    'END:VALARM'
+                );
+            });
+
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Read the VEVENTs of an .ics file as { name, date, milestones } where
+     * date is a UTC ISO string, or a floating local time when the file has no zone
+     */
+    parse(text) {
+        const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const zones = {};
+        const events = [];
+        let current = null;
+
+        lines.filter(Boolean).forEach(raw => {
+            const line = this.parseLine(raw);
+
+            if (line.name === 'BEGIN') {
+                if (['VEVENT', 'VALARM', 'VTIMEZONE', 'STANDARD', 'DAYLIGHT'].includes(line.value)) {
+                    const component = { type: line.value, props: {}, children: [], parent: current };
+                    current?.children.push(component);
+                    current = component;
+                }
+                return;
+            }
+            if (line.name === 'END') {
+                if (current && current.type === line.value) {
+                    if (current.type === 'VEVENT') events.push(current);
+                    if (current.type === 'VTIMEZONE') zones[this.unquote(current.props.TZID?.value)] = current;
+                    current = current.parent;
+                }
+                return;
+            }
+            if (current && !current.props[line.name]) {
+                current.props[line.name] = line;
+            }
+        });
+
+        return events.map(event => this.readEvent(event, zones)).filter(Boolean);
+    },
+
+    /**
+     * Turn a parsed VEVENT into countdown fields; null when it has no usable start
+     */
+    readEvent(event, zones) {
+        const start = event.props.DTSTART;
+        if (!start) return null;
+
+        const date = this.parseDateValue(start, zones);
+        if (!date) return null;
+
+        const name = this.unescapeText(event.props.SUMMARY?.value || '').trim() || 'Imported Event';
+        const startTime = new Date(date).getTime();
+
+        const milestones = event.children
+            .filter(child => child.type === 'VALARM' && child.props.TRIGGER)
+            .map(alarm => {
+                const trigger = alarm.props.TRIGGER;
+                if (trigger.params.VALUE === 'DATE-TIME') {
+                    const at = this.parseDateValue(trigger, zones);
+                    return at ? startTime - new Date(at).getTime() : null;
+                }
+                // Alarms relative to the event's end are treated as relative to its start
+                const duration = this.parseDuration(trigger.value);
+                return duration === null ? null : -duration;
+            })
+            .filter(offset => offset > 0);
+
+        return { name: name.slice(0, 80), date, milestones: [...new Set(milestones)] };
+    },
+
+    /**
+     * Import an .ics file's events as custom countdowns with their alarms as
+     * milestone reminders; returns the new countdown ids
+     */
+    importCalendar(text) {
+        const batch = Date.now();
+        return this.parse(text).map((event, index) => {
+            // One file can hold many events, so ids cannot rely on the clock alone
+            const id = StorageManager.saveCustomCountdown({ id: `custom_${batch}_${index}`, name: event.name, date: event.date });
+            if (event.milestones.length) {
+                MilestoneManager.saveMilestones(id, event.milestones.map(offset => MilestoneManager.create(offset)));
+            }
+            return id;
+        });
+    },
+
+    /**
+     * Split "NAME;PARAM=a;X=b:value" into its parts
+     */
+    parseLine(raw) {
+        const colon = this.findUnquoted(raw, ':');
+        const head = colon === -1 ? raw : raw.slice(0, colon);
+        const value = colon === -1 ? '' : raw.slice(colon + 1);
+        const [name, ...params] = head.split(';');
+
+        return {
+            name: name.toUpperCase(),
+            value: name.toUpperCase() === 'BEGIN' || name.toUpperCase() === 'END' ? value.trim().toUpperCase() : value,
+            params: Object.fromEntries(params.map(param => {
+                const [key, ...rest] = param.split('=');
+                return [key.toUpperCase(), this.unquote(rest.join('='))];
+            }))
+        };
+    },
+
+    /**
+     * Index of a character outside double quotes (TZID="a:b" is legal)
+     */
+    findUnquoted(text, char) {
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '"') quoted = !quoted;
+            if (text[i] === char && !quoted) return i;
+        }
+        return -1;
+    },
+
+    unquote(value) {
+        return value ? value.replace(/^"|"$/g, '') : value;
+    },
+
+    /**
+     * Parse a DATE or DATE-TIME property into an ISO string
+     */
+    parseDateValue(prop, zones) {
+        const match = prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+
+        const [, y, mo, d, h = '00', mi = '00', s = '00', utc] = match;
+        const parts = [Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)];
+
+        if (utc) {
+            return new Date(Date.UTC(...parts)).toISOString();
+        }
+
+        if (prop.params.TZID) {
+            const zone = this.resolveTimezone(prop.params.TZID, zones);
+            if (zone?.iana) {
+                return TimezoneUtils.zonedTimeToUtc(zone.iana, ...parts).toISOString();
+            }
+            if (zone?.offset !== undefined) {
+                return new Date(Date.UTC(...parts) - zone.offset).toISOString();
+            }
+        }
+
+        // Floating time or all-day date: the same wall-clock time wherever the user is
+        return `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+    },
+
+    /**
+     * Map a TZID to an IANA zone, or failing that to the fixed standard
+     * offset its VTIMEZONE declares
+     */
+    resolveTimezone(tzid, zones) {
+        const candidates = [
+            tzid,
+            this.windowsZones[tzid],
+            zones[tzid]?.props['X-LIC-LOCATION']?.value,
+            // Prefixed ids such as /mozilla.org/20070129_1/Europe/London
+            tzid.split('/').slice(-2).join('/'),
+            tzid.split('/').slice(-3).join('/')
+        ];
+
+        const iana = candidates.find(zone => TimezoneUtils.isValidTimezone(zone));
+        if (iana) return { iana };
+
+        const standard = zones[tzid]?.children.find(child => child.type === 'STANDARD')
+            || zones[tzid]?.children[0];
+        const offset = standard?.props.TZOFFSETTO?.value.match(/^([+-])(\d{2})(\d{2})/);
+        if (offset) {
+            const sign = offset[1] === '-' ? -1 : 1;
+            return { offset: sign * (Number(offset[2]) * 60 + Number(offset[3])) * 60 * 1000 };
+        }
+        return null;
+    },
+
+    /**
+     * Parse an iCalendar duration (e.g. -P1DT2H, PT10S, -P1W) into signed milliseconds
+     */
+    parseDuration(value) {
+        const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+
+        const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        const ms = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 +
+            Number(minutes) * 60 + Number(seconds)) * 1000;
+        return sign === '-' ? -ms : ms;
+    },
+
+    /**
+     * Format milliseconds as an iCalendar duration, e.g. P7D or PT1H
+     */
+    formatDuration(ms) {
+        let seconds = Math.round(ms / 1000);
+        const days = Math.floor(seconds / 86400);
+        seconds -= days * 86400;
+        const hours = Math.floor(seconds / 3600);
+        seconds -= hours * 3600;
+        const minutes = Math.floor(seconds / 60);
+        seconds -= minutes * 60;
+
+        const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+        return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}` || 'PT0S';
+    },
+
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    formatDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    },
+
+    escapeText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    },
+
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    },
+
+    /**
+     * Fold lines longer than 75 octets, never splitting a character
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            // Continuation lines spend one octet on the leading space
+            if (size + bytes > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    /**
+     * Save calendar text as an .ics download
+     */
+    download(ics, filename) {
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalendarManager };
+}
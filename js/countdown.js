@@ -3,25 +3,56 @@
  * Uses performance.now() for accuracy with setInterval fallback
  */
 
+// Pages load holidays.js and events.js first; under Node they are required
+const CountdownEvents = typeof EventPresets !== 'undefined' ? EventPresets
+    : typeof require === 'function' ? require('./events.js').EventPresets : null;
+const CountdownHolidays = typeof HolidayRules !== 'undefined' ? HolidayRules
+    : typeof require === 'function' ? require('./holidays.js').HolidayRules : null;
+
+if (!CountdownEvents || !CountdownHolidays) {
+    console.error('countdown.js needs js/holidays.js and js/events.js loaded before it');
+}
+
 class CountdownEngine {
     constructor(options = {}) {
         this.targetDate = null;
         this.timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
         this.onUpdate = options.onUpdate || (() => {});
         this.onComplete = options.onComplete || (() => {});
+        // Called after a preset event rolls over to its next occurrence
+        this.onRollover = options.onRollover || (() => {});
+        this.tickListeners = [];
+        this.clock = options.clock || null;
         this.intervalId = null;
+        this.hasCompleted = false;
         this.lastUpdateTime = 0;
         this.updateFrequency = options.updateFrequency || 1000;
-        this.yearRange = { start: 2024, end: 2035 };
+        this.baseUpdateFrequency = this.updateFrequency;
+        // Remaining time (ms) under which ticks move to the RAF loop; 0 never does
+        this.fastTickWindow = options.fastTickWindow || 0;
+        // Years ahead of the current one the year picker offers
+        this.yearsAhead = options.yearsAhead ?? 11;
+        // HolidayRules region, and whether Boxing Day means Dec 26 ('calendar') or its 'observed' holiday
+        this.holidayRegion = options.holidayRegion || null;
+        this.holidayTarget = options.holidayTarget || 'calendar';
+        // EventPresets id counted down to when no custom date is set
+        this.eventId = CountdownEvents.get(options.event).id;
+        this.event = CountdownEvents.get(this.eventId);
+        // Where progress is measured from ({ type, date }); null uses the event's default
+        this.progressAnchor = options.progressAnchor || null;
+        this.setUnits(options.units || 'standard');
         
         // High precision timing support
         this.useHighPrecision = typeof performance !== 'undefined' && typeof performance.now === 'function';
     }
 
     /**
-     * Get current timestamp using highest available precision
+     * Get current timestamp from the injected clock, or using highest available precision
      */
     getHighPrecisionTime() {
+        if (this.clock) {
+            return this.clock.now();
+        }
         if (this.useHighPrecision) {
             return performance.timeOrigin + performance.now();
         }
@@ -29,50 +60,178 @@ class CountdownEngine {
     }
 
     /**
-     * Set target to Boxing Day (December 26) for a specific year
+     * Years the app offers: from this year (on the engine's clock and timezone)
+     * for yearsAhead years, stretched to include the target year
      */
-    setBoxingDay(year = null) {
-        const now = new Date();
-        let targetYear = year || now.getFullYear();
-        
-        // Create target date at midnight local time
-        let target = new Date(targetYear, 11, 26, 0, 0, 0, 0);
-        
-        // If Boxing Day has passed this year, target next year
-        if (!year && now > target) {
-            targetYear++;
-            target = new Date(targetYear, 11, 26, 0, 0, 0, 0);
+    get yearRange() {
+        const current = TimezoneUtils.getZonedParts(this.timezone, new Date(this.getHighPrecisionTime())).year;
+        return {
+            start: Math.min(current, this.targetYear || current),
+            end: Math.max(current + this.yearsAhead, this.targetYear || current)
+        };
+    }
+
+    /**
+     * Replace the clock source (any object with a now() returning epoch ms).
+     * Pass null to go back to the real time.
+     */
+    setClock(clock) {
+        this.clock = clock || null;
+        return this;
+    }
+
+    /**
+     * Set the IANA timezone whose midnight the countdown targets.
+     * Preset event targets are recomputed for the new zone.
+     */
+    setTimezone(timezone) {
+        this.timezone = TimezoneUtils.isValidTimezone(timezone)
+            ? timezone
+            : TimezoneUtils.detectTimezone();
+
+        if (this.targetDate && !this.isCustom) {
+            this.setEvent(this.eventId, this.requestedYear);
         }
-        
+        return this;
+    }
+
+    /**
+     * Choose the holiday region and whether to count to December 26 or the
+     * region's observed holiday. Boxing Day targets are recomputed.
+     */
+    setHoliday({ region = this.holidayRegion, target = this.holidayTarget } = {}) {
+        this.holidayRegion = region || null;
+        this.holidayTarget = target === 'observed' ? 'observed' : 'calendar';
+
+        if (this.targetDate && !this.isCustom) {
+            this.setEvent(this.eventId, this.requestedYear);
+        }
+        return this;
+    }
+
+    /**
+     * Day of December the Boxing Day countdown targets in a year
+     */
+    getTargetDay(year) {
+        if (this.holidayTarget === 'calendar') return 26;
+        return CountdownHolidays.getTargetDay(this.holidayRegion, year, this.holidayTarget);
+    }
+
+    /**
+     * Wall-clock month, day and hour the active preset event falls on in a year
+     */
+    getTargetParts(year, event = this.event) {
+        if (event.rule.type === 'holiday') {
+            return { month: 11, day: this.getTargetDay(year), hour: 0 };
+        }
+        return CountdownEvents.getTargetParts(event.rule, year);
+    }
+
+    /**
+     * Moment a preset event starts in the selected timezone
+     */
+    getEventDate(year, event = this.event) {
+        const { month, day, hour } = this.getTargetParts(year, event);
+        return TimezoneUtils.zonedTimeToUtc(this.timezone, year, month, day, hour);
+    }
+
+    /**
+     * Set target to a preset event (the current one by default) for a specific
+     * year, or its next occurrence when no year is given
+     */
+    setEvent(eventId = this.eventId, year = null) {
+        this.event = CountdownEvents.get(eventId);
+        this.eventId = this.event.id;
+
+        const now = new Date(this.getHighPrecisionTime());
+        let targetYear = year || TimezoneUtils.getZonedParts(this.timezone, now).year;
+
+        let target = this.getEventDate(targetYear);
+
+        if (!year) {
+            // Last year's occurrence can still be celebrating (New Year's Eve's day is January 1);
+            // once this year's event day is over, target next year
+            if (now < this.getCelebrationEnd(this.getEventDate(targetYear - 1))) {
+                targetYear--;
+            } else if (now >= this.getCelebrationEnd(target)) {
+                targetYear++;
+            }
+            target = this.getEventDate(targetYear);
+        }
+
         this.targetDate = target;
         this.targetYear = targetYear;
+        this.requestedYear = year;
+        this.hasCompleted = false;
+        this.isCustom = false;
+        this.eventName = this.event.name;
+        this.completionMessage = this.event.completionMessage;
         return this;
     }
 
+    /**
+     * Moment the target's day ends: the next midnight after it in the selected timezone
+     */
+    getCelebrationEnd(target = this.targetDate) {
+        const { year, month, day } = TimezoneUtils.getZonedParts(this.timezone, target);
+        return TimezoneUtils.zonedTimeToUtc(this.timezone, year, month, day + 1);
+    }
+
+    /**
+     * Set target to Boxing Day (December 26, or its observed holiday) for a specific year
+     */
+    setBoxingDay(year = null) {
+        return this.setEvent('boxingday', year);
+    }
+
     /**
      * Set custom target date
      */
     setCustomDate(dateString, name = 'Custom Event') {
         this.targetDate = new Date(dateString);
         this.eventName = name;
+        this.completionMessage = `${name} is here!`;
+        this.hasCompleted = false;
+        this.isCustom = true;
+        return this;
+    }
+
+    /**
+     * Choose which units the countdown is broken into, either a preset name
+     * from CountdownEngine.UNIT_SETS or an array of unit names
+     */
+    setUnits(units) {
+        const preset = CountdownEngine.UNIT_SETS[units] ? units : null;
+        const list = preset ? CountdownEngine.UNIT_SETS[preset] : (Array.isArray(units) ? units : []);
+
+        this.units = CountdownEngine.UNITS.filter(unit => list.includes(unit));
+        this.unitSet = preset;
+
+        if (!this.units.length) {
+            this.units = CountdownEngine.UNIT_SETS.standard;
+            this.unitSet = 'standard';
+        }
         return this;
     }
 
     /**
      * Calculate time remaining in multiple units
      */
-    calculateTimeRemaining() {
+    calculateTimeRemaining(now = this.getHighPrecisionTime()) {
         if (!this.targetDate) {
-            this.setBoxingDay();
+            this.setEvent();
         }
 
-        const now = this.getHighPrecisionTime();
         const target = this.targetDate.getTime();
         const diff = target - now;
 
         if (diff <= 0) {
             return {
+                // Time since the target, and whether its day is still running
+                elapsed: now - target,
+                isCelebrating: now < this.getCelebrationEnd().getTime(),
                 total: 0,
+                years: 0,
                 months: 0,
                 weeks: 0,
                 days: 0,
@@ -80,74 +239,170 @@ class CountdownEngine {
                 minutes: 0,
                 seconds: 0,
                 milliseconds: 0,
+                totalDays: 0,
                 isComplete: true,
                 progress: 100
             };
         }
 
-        // Calculate all units
-        const seconds = Math.floor((diff / 1000) % 60);
-        const minutes = Math.floor((diff / (1000 * 60)) % 60);
-        const hours = Math.floor((diff / (1000 * 60 * 60)) % 24);
+        // Walk real month lengths on the wall clock of the selected timezone
+        const breakdown = CountdownEngine.getCalendarBreakdown(
+            now + TimezoneUtils.getTimezoneOffset(this.timezone, new Date(now)),
+            target + TimezoneUtils.getTimezoneOffset(this.timezone, this.targetDate),
+            this.units
+        );
         const totalDays = Math.floor(diff / (1000 * 60 * 60 * 24));
-        const days = totalDays % 7;
-        const weeks = Math.floor(totalDays / 7) % 4;
-        const months = Math.floor(totalDays / 30);
-        const milliseconds = diff % 1000;
 
-        // Calculate progress (from Jan 1 to Dec 26)
-        const yearStart = new Date(this.targetYear || new Date().getFullYear(), 0, 1);
-        const totalYearDuration = target - yearStart.getTime();
-        const elapsed = now - yearStart.getTime();
-        const progress = Math.min(100, Math.max(0, (elapsed / totalYearDuration) * 100));
+        // Calculate progress from the anchor to the target
+        const start = this.getProgressStart();
+        const progress = Math.min(100, Math.max(0, ((now - start) / (target - start)) * 100));
 
         return {
             total: diff,
-            months,
-            weeks,
-            days,
-            hours,
-            minutes,
-            seconds,
-            milliseconds,
+            ...breakdown,
             totalDays,
             isComplete: false,
             progress: progress.toFixed(2)
         };
     }
 
+    /**
+     * Choose where progress is measured from: { type: 'yearStart' }, { type: 'previous' },
+     * or { type: 'created' | 'custom', date }. Null goes back to the default.
+     */
+    setProgressAnchor(anchor) {
+        const valid = anchor && CountdownEngine.PROGRESS_ANCHORS.includes(anchor.type) &&
+            (!['created', 'custom'].includes(anchor.type) || !isNaN(new Date(anchor.date).getTime()));
+        this.progressAnchor = valid ? { type: anchor.type, date: anchor.date ?? null } : null;
+        return this;
+    }
+
+    /**
+     * The anchor in use: the chosen one, else the preset event's, else
+     * (custom dates) the previous Boxing Day
+     */
+    getProgressAnchor() {
+        if (this.progressAnchor) return this.progressAnchor;
+        return { type: this.isCustom ? 'previous' : this.event.progressAnchor, date: null };
+    }
+
+    /**
+     * Where the progress bar starts. 'previous' is the event's previous
+     * occurrence, or for custom dates the last Boxing Day before the target.
+     */
+    getProgressStart() {
+        const anchor = this.getProgressAnchor();
+        const target = this.targetDate.getTime();
+
+        switch (anchor.type) {
+            case 'created':
+            case 'custom':
+                return new Date(anchor.date).getTime();
+
+            case 'previous': {
+                if (!this.isCustom) {
+                    return this.getEventDate(this.targetYear - 1).getTime();
+                }
+                const boxingDay = CountdownEvents.get('boxingday');
+                let year = TimezoneUtils.getZonedParts(this.timezone, this.targetDate).year;
+                while (this.getEventDate(year, boxingDay).getTime() >= target) year--;
+                return this.getEventDate(year, boxingDay).getTime();
+            }
+
+            default: {
+                const year = this.isCustom
+                    ? TimezoneUtils.getZonedParts(this.timezone, this.targetDate).year
+                    : this.targetYear;
+                const start = TimezoneUtils.zonedTimeToUtc(this.timezone, year, 0, 1).getTime();
+                // A custom target in the first moments of a year measures from the year before
+                return start < target ? start : TimezoneUtils.zonedTimeToUtc(this.timezone, year - 1, 0, 1).getTime();
+            }
+        }
+    }
+
+    /**
+     * Extra progress figures ('season', 'year', 'advent') at a moment, as
+     * [{ id, label, progress }] with progress a percentage string like the main bar
+     */
+    getProgressMetrics(ids = [], now = this.getHighPrecisionTime()) {
+        const year = TimezoneUtils.getZonedParts(this.timezone, new Date(now)).year;
+
+        return ids.filter(id => CountdownEngine.PROGRESS_METRICS[id]).map(id => {
+            const metric = CountdownEngine.PROGRESS_METRICS[id];
+            const [start, end] = metric.range(this, year).map(date => date.getTime());
+            const progress = Math.min(100, Math.max(0, ((now - start) / (end - start)) * 100));
+            return { id, label: metric.label, progress: progress.toFixed(2) };
+        });
+    }
+
     /**
      * Start the countdown timer
      */
     start() {
-        if (this.intervalId) {
-            this.stop();
-        }
+        this.stop();
 
         // Initial update
         this.update();
 
-        // Use requestAnimationFrame for smoother updates when possible
-        if (window.requestAnimationFrame && this.updateFrequency < 100) {
-            this.rafLoop();
+        // The update may already have restarted the loop (rollover, fast ticks)
+        if (!this.intervalId && !this.rafId) {
+            this.startLoop();
+        }
+
+        return this;
+    }
+
+    /**
+     * Tick on requestAnimationFrame for smoother updates when possible, else on an interval
+     */
+    startLoop() {
+        if (typeof requestAnimationFrame !== 'undefined' && this.updateFrequency < 100) {
+            this.rafId = requestAnimationFrame(() => this.rafLoop());
         } else {
             this.intervalId = setInterval(() => this.update(), this.updateFrequency);
         }
+    }
 
+    /**
+     * Tick every frame once less than `ms` remains (0 turns it off)
+     */
+    setFastTickWindow(ms) {
+        this.fastTickWindow = Math.max(0, Number(ms) || 0);
+        if (this.intervalId || this.rafId) {
+            this.applyTickRate(this.calculateTimeRemaining());
+        }
         return this;
     }
 
+    /**
+     * Switch between the normal and fast loops as the countdown enters or leaves the fast-tick window
+     */
+    applyTickRate(remaining) {
+        const fast = this.fastTickWindow > 0 && !remaining.isComplete && remaining.total <= this.fastTickWindow;
+        const frequency = fast ? CountdownEngine.FAST_UPDATE_FREQUENCY : this.baseUpdateFrequency;
+        if (frequency === this.updateFrequency) return;
+
+        this.updateFrequency = frequency;
+        if (this.intervalId || this.rafId) {
+            this.stop();
+            this.startLoop();
+        }
+    }
+
     /**
      * RAF-based update loop for smoother animations
      */
     rafLoop() {
+        const frame = this.rafId;
         const now = this.getHighPrecisionTime();
         
         if (now - this.lastUpdateTime >= this.updateFrequency) {
-            this.update();
             this.lastUpdateTime = now;
+            this.update();
         }
 
+        // update() may have stopped the countdown or moved it to another loop
+        if (this.rafId !== frame) return;
         this.rafId = requestAnimationFrame(() => this.rafLoop());
     }
 
@@ -158,21 +413,39 @@ class CountdownEngine {
         const remaining = this.calculateTimeRemaining();
         
         this.onUpdate(remaining);
+        this.tickListeners.forEach(listener => listener(remaining));
+        this.applyTickRate(remaining);
 
         if (remaining.isComplete) {
+            if (!this.hasCompleted) {
+                this.hasCompleted = true;
+                this.onComplete();
+            }
+
+            // Keep ticking through the target's day so the celebration can count up
+            if (remaining.isCelebrating) return;
+
+            // Auto-rollover to next year once the day is over
             this.stop();
-            this.onComplete();
-            
-            // Auto-rollover to next year
-            if (this.targetYear < this.yearRange.end) {
-                setTimeout(() => {
-                    this.setBoxingDay(this.targetYear + 1);
-                    this.start();
-                }, 5000); // Wait 5 seconds before rolling over
+            if (!this.isCustom) {
+                this.setEvent(this.eventId, this.targetYear + 1);
+                this.onRollover();
+                this.start();
             }
         }
     }
 
+    /**
+     * Subscribe to every countdown tick so other views can share this timer.
+     * Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.tickListeners.push(listener);
+        return () => {
+            this.tickListeners = this.tickListeners.filter(l => l !== listener);
+        };
+    }
+
     /**
      * Stop the countdown
      */
@@ -195,16 +468,33 @@ class CountdownEngine {
         return new Date(year, 11, 26);
     }
 
+    /**
+     * Get the substitute public holiday the holiday region observes when
+     * Boxing Day falls on a weekend. Null when there is none.
+     */
+    getSubstituteHoliday(year) {
+        const holiday = CountdownHolidays.getHoliday(this.holidayRegion, year);
+        return holiday.isSubstitute ? holiday.observed : null;
+    }
+
     /**
      * Get all Boxing Day dates in range
      */
     getAllBoxingDays() {
         const dates = [];
-        for (let year = this.yearRange.start; year <= this.yearRange.end; year++) {
+        const { start, end } = this.yearRange;
+        for (let year = start; year <= end; year++) {
             const date = this.getBoxingDayDate(year);
+            const holiday = CountdownHolidays.getHoliday(this.holidayRegion, year);
+            const substitute = this.getSubstituteHoliday(year);
             dates.push({
                 year,
                 date,
+                holidayName: holiday.name,
+                publicHoliday: holiday.publicHoliday,
+                isWeekend: holiday.isWeekend,
+                substitute,
+                substituteDay: substitute ? substitute.toLocaleDateString('en-US', { weekday: 'long' }) : null,
                 dayOfWeek: date.toLocaleDateString('en-US', { weekday: 'long' }),
                 formatted: date.toLocaleDateString('en-US', { 
                     weekday: 'long', 
@@ -217,6 +507,113 @@ class CountdownEngine {
         return dates;
     }
 
+    /**
+     * Get the active preset event's date in every year of the range, in the
+     * same shape as getAllBoxingDays (holiday fields are null for other events)
+     */
+    getOccurrences() {
+        if (this.eventId === 'boxingday') return this.getAllBoxingDays();
+
+        const dates = [];
+        const { start, end } = this.yearRange;
+        for (let year = start; year <= end; year++) {
+            const { month, day } = this.getTargetParts(year);
+            const date = new Date(year, month, day);
+            dates.push({
+                year,
+                date,
+                holidayName: this.event.name,
+                publicHoliday: null,
+                isWeekend: date.getDay() === 0 || date.getDay() === 6,
+                substitute: null,
+                substituteDay: null,
+                dayOfWeek: date.toLocaleDateString('en-US', { weekday: 'long' }),
+                formatted: date.toLocaleDateString('en-US', {
+                    weekday: 'long',
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric'
+                })
+            });
+        }
+        return dates;
+    }
+
+    /**
+     * Break the span between two wall-clock times (UTC-based milliseconds) into
+     * the given units. Years and months follow real month lengths, so
+     * Jan 31 -> Feb 28 is one month; units left out roll into the next smaller one.
+     */
+    static getCalendarBreakdown(from, to, units = CountdownEngine.UNIT_SETS.standard) {
+        const result = {};
+        CountdownEngine.UNITS.forEach(unit => { result[unit] = 0; });
+        result.milliseconds = 0;
+
+        if (to <= from) return result;
+
+        let cursor = from;
+
+        if (units.includes('years') || units.includes('months')) {
+            let months = CountdownEngine.monthsBetween(from, to);
+            if (units.includes('years')) {
+                result.years = Math.floor(months / 12);
+                months -= result.years * 12;
+            }
+            if (units.includes('months')) {
+                result.months = months;
+            } else {
+                months = 0;
+            }
+            cursor = CountdownEngine.addMonths(from, result.years * 12 + months);
+        }
+
+        let rest = to - cursor;
+        Object.entries(CountdownEngine.UNIT_MS).forEach(([unit, size]) => {
+            if (units.includes(unit)) {
+                result[unit] = Math.floor(rest / size);
+                rest -= result[unit] * size;
+            }
+        });
+        result.milliseconds = rest;
+
+        return result;
+    }
+
+    /**
+     * Add calendar months to a UTC-based timestamp, clamping to the month's last day
+     */
+    static addMonths(time, count) {
+        const d = new Date(time);
+        const month = d.getUTCMonth() + count;
+        const year = d.getUTCFullYear() + Math.floor(month / 12);
+        const monthIndex = ((month % 12) + 12) % 12;
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+        return Date.UTC(
+            year,
+            monthIndex,
+            Math.min(d.getUTCDate(), lastDay),
+            d.getUTCHours(),
+            d.getUTCMinutes(),
+            d.getUTCSeconds(),
+            d.getUTCMilliseconds()
+        );
+    }
+
+    /**
+     * Count whole calendar months between two UTC-based timestamps
+     */
+    static monthsBetween(from, to) {
+        const a = new Date(from);
+        const b = new Date(to);
+        let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+
+        while (months > 0 && CountdownEngine.addMonths(from, months) > to) {
+            months--;
+        }
+        return Math.max(0, months);
+    }
+
     /**
      * Format time unit with leading zero
      */
@@ -224,6 +621,19 @@ class CountdownEngine {
         return String(value).padStart(padLength, '0');
     }
 
+    /**
+     * Format a duration in milliseconds as a compact clock, e.g. "12d 04:05:06"
+     */
+    static formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor(totalSeconds / 3600) % 24;
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = totalSeconds % 60;
+        const clock = [hours, minutes, seconds].map(v => CountdownEngine.formatUnit(v)).join(':');
+        return days > 0 ? `${days}d ${clock}` : clock;
+    }
+
     /**
      * Get human-readable time string
      */
@@ -231,10 +641,11 @@ class CountdownEngine {
         const r = remaining || this.calculateTimeRemaining();
         
         if (r.isComplete) {
-            return "It's Boxing Day!";
+            return this.completionMessage || this.event.completionMessage;
         }
 
         const parts = [];
+        if (r.years > 0) parts.push(`${r.years} year${r.years !== 1 ? 's' : ''}`);
         if (r.months > 0) parts.push(`${r.months} month${r.months !== 1 ? 's' : ''}`);
         if (r.weeks > 0) parts.push(`${r.weeks} week${r.weeks !== 1 ? 's' : ''}`);
         if (r.days > 0) parts.push(`${r.days} day${r.days !== 1 ? 's' : ''}`);
@@ -246,6 +657,93 @@ class CountdownEngine {
     }
 }
 
+/**
+ * Clock that can start at any moment and run faster than real time.
+ * Used by the debug mode to rehearse completion and rollover.
+ */
+class TimeTravelClock {
+    constructor(options = {}) {
+        this.speed = options.speed || 1;
+        this.setTime(options.now ?? Date.now());
+    }
+
+    /**
+     * Get the simulated current time in epoch ms
+     */
+    now() {
+        return this.baseTime + (Date.now() - this.realStart) * this.speed;
+    }
+
+    /**
+     * Jump to a moment (Date, timestamp or parsable string)
+     */
+    setTime(time) {
+        this.baseTime = new Date(time).getTime();
+        this.realStart = Date.now();
+        return this;
+    }
+
+    /**
+     * Change how many simulated milliseconds pass per real millisecond
+     */
+    setSpeed(speed) {
+        this.setTime(this.now());
+        this.speed = Number(speed) > 0 ? Number(speed) : 1;
+        return this;
+    }
+}
+
+// Update interval (ms) inside the fast-tick window; under 100 selects the RAF loop
+CountdownEngine.FAST_UPDATE_FREQUENCY = 50;
+
+// All units the engine can break a countdown into, largest first
+CountdownEngine.UNITS = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds'];
+
+// Fixed-length units, used for whatever is left after whole calendar months
+CountdownEngine.UNIT_MS = {
+    weeks: 7 * 24 * 60 * 60 * 1000,
+    days: 24 * 60 * 60 * 1000,
+    hours: 60 * 60 * 1000,
+    minutes: 60 * 1000,
+    seconds: 1000
+};
+
+// Where a countdown's progress bar can start
+CountdownEngine.PROGRESS_ANCHORS = ['yearStart', 'previous', 'created', 'custom'];
+
+// Optional extra progress bars: the span each one measures in a given year
+CountdownEngine.PROGRESS_METRICS = {
+    season: {
+        label: 'Shopping season (Black Friday to Boxing Day)',
+        range: (engine, year) => [
+            engine.getEventDate(year, CountdownEvents.get('blackfriday')),
+            engine.getEventDate(year, CountdownEvents.get('boxingday'))
+        ]
+    },
+    advent: {
+        label: 'Advent (December 1 to Christmas)',
+        range: (engine, year) => [
+            TimezoneUtils.zonedTimeToUtc(engine.timezone, year, 11, 1),
+            engine.getEventDate(year, CountdownEvents.get('christmas'))
+        ]
+    },
+    year: {
+        label: 'Year elapsed',
+        range: (engine, year) => [
+            TimezoneUtils.zonedTimeToUtc(engine.timezone, year, 0, 1),
+            TimezoneUtils.zonedTimeToUtc(engine.timezone, year + 1, 0, 1)
+        ]
+    }
+};
+
+// Unit presets the UI and embed can choose from
+CountdownEngine.UNIT_SETS = {
+    standard: ['months', 'weeks', 'days', 'hours', 'minutes', 'seconds'],
+    full: ['years', 'months', 'days', 'hours', 'minutes', 'seconds'],
+    weeksDays: ['weeks', 'days', 'hours', 'minutes', 'seconds'],
+    daysOnly: ['days', 'hours', 'minutes', 'seconds']
+};
+
 // Timezone utilities
 const TimezoneUtils = {
     // Common timezones with cities
@@ -280,6 +778,142 @@ const TimezoneUtils = {
         }
     },
 
+    /**
+     * Check whether a string is an IANA timezone the runtime understands
+     */
+    isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Get a cached formatter that splits a date into wall-clock parts for a timezone
+     */
+    getFormatter(timezone) {
+        this.formatters = this.formatters || {};
+        if (!this.formatters[timezone]) {
+            this.formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return this.formatters[timezone];
+    },
+
+    /**
+     * Get the wall-clock date parts (month is 0-based) of a moment in a timezone
+     */
+    getZonedParts(timezone, date = new Date()) {
+        try {
+            const parts = {};
+            this.getFormatter(timezone).formatToParts(date).forEach(p => {
+                if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+            });
+            return {
+                year: parts.year,
+                month: parts.month - 1,
+                day: parts.day,
+                hour: parts.hour % 24,
+                minute: parts.minute,
+                second: parts.second
+            };
+        } catch (e) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth(),
+                day: date.getDate(),
+                hour: date.getHours(),
+                minute: date.getMinutes(),
+                second: date.getSeconds()
+            };
+        }
+    },
+
+    /**
+     * Get the offset of a timezone from UTC in milliseconds at a given moment
+     */
+    getTimezoneOffset(timezone, date = new Date()) {
+        const p = this.getZonedParts(timezone, date);
+        const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    },
+
+    /**
+     * Convert a wall-clock time in a timezone to the matching instant
+     */
+    zonedTimeToUtc(timezone, year, month, day, hour = 0, minute = 0, second = 0) {
+        const wall = Date.UTC(year, month, day, hour, minute, second);
+        const offset = this.getTimezoneOffset(timezone, new Date(wall));
+        let utc = wall - offset;
+
+        // Re-check once in case a DST transition sits between the guess and the result
+        const corrected = this.getTimezoneOffset(timezone, new Date(utc));
+        if (corrected !== offset) {
+            utc = wall - corrected;
+        }
+        return new Date(utc);
+    },
+
+    /**
+     * Find a known city entry for a timezone id
+     */
+    findTimezone(timezone) {
+        return this.commonTimezones.find(tz => tz.id === timezone) || null;
+    },
+
+    /**
+     * Get a short display label such as "Sydney (GMT+11)"
+     */
+    getTimezoneLabel(timezone) {
+        const known = this.findTimezone(timezone);
+        const offset = this.getOffsetString(timezone);
+        if (known) return `${known.city} (${offset})`;
+        return offset === timezone ? timezone : `${timezone.replace(/_/g, ' ')} (${offset})`;
+    },
+
+    /**
+     * Search timezones by city, country or IANA id.
+     * Common cities come first, followed by any other zone the runtime supports.
+     */
+    searchTimezones(query = '', limit = 50) {
+        const q = query.trim().toLowerCase();
+        const matches = (text) => text.toLowerCase().replace(/_/g, ' ').includes(q.replace(/_/g, ' '));
+
+        const common = this.commonTimezones.filter(tz =>
+            !q || matches(tz.city) || matches(tz.country) || matches(tz.id)
+        );
+
+        if (!q) return common;
+
+        const known = new Set(common.map(tz => tz.id));
+        let others = [];
+        if (typeof Intl.supportedValuesOf === 'function') {
+            others = Intl.supportedValuesOf('timeZone')
+                .filter(id => !known.has(id) && !this.findTimezone(id) && matches(id))
+                .map(id => ({
+                    id,
+                    city: id.split('/').pop().replace(/_/g, ' '),
+                    country: id.split('/')[0],
+                    offset: ''
+                }));
+        } else if (this.isValidTimezone(query.trim()) && !known.has(query.trim())) {
+            others = [{ id: query.trim(), city: query.trim(), country: '', offset: '' }];
+        }
+
+        return common.concat(others).slice(0, limit);
+    },
+
     /**
      * Get timezone offset string
      */
@@ -312,5 +946,5 @@ const TimezoneUtils = {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CountdownEngine, TimezoneUtils };
+    module.exports = { CountdownEngine, TimeTravelClock, TimezoneUtils };
 }
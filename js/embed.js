@@ -0,0 +1,371 @@
+/**
+ * Boxing Day Countdown - Embeddable Widget
+ * Drives embed.html on the shared CountdownEngine and speaks the host
+ * postMessage protocol documented in js/boxingday-embed.js
+ */
+
+class EmbedWidget {
+    constructor(options = {}) {
+        this.options = options;
+        this.widget = document.getElementById('widget');
+        this.titleEl = document.getElementById('title');
+        this.unitsEl = document.getElementById('countdown');
+        this.progressEl = document.getElementById('progress');
+        this.progressFillEl = document.getElementById('progress-fill');
+        this.metricsEl = document.getElementById('progress-metrics');
+        this.themeManager = new ThemeManager();
+        this.particleSystem = null;
+
+        // Hosts allowed to send commands; empty means any host
+        this.allowedOrigins = options.origins || [];
+        this.tickInterval = options.tickInterval ?? 1000;
+        this.lastTickSent = 0;
+        this.lastHeight = 0;
+        this.lastRemaining = null;
+        this.isPaused = false;
+        this.isReady = false;
+        this.milestones = MilestoneManager.presets.map(p => MilestoneManager.create(p.offset, p.id));
+
+        this.engine = new CountdownEngine({
+            units: EmbedWidget.parseUnits(options.units),
+            onUpdate: (remaining) => this.onUpdate(remaining),
+            // Before 'ready' the ready event's isComplete reports it instead
+            onComplete: () => this.isReady && this.emit('complete', this.getState())
+        });
+    }
+
+    /**
+     * Apply the initial options, start counting and announce readiness
+     */
+    init() {
+        const { options } = this;
+
+        if (options.particles) {
+            document.getElementById('particles').hidden = false;
+            this.particleSystem = new ParticleSystem('particles');
+            this.particleSystem.start();
+        }
+
+        try {
+            this.setTheme(options.theme);
+        } catch (e) {
+            this.setTheme('dark');
+        }
+        this.widget.classList.toggle('widget--compact', Boolean(options.compact));
+        this.widget.classList.toggle('widget--transparent', Boolean(options.transparent));
+        if (options.hideLink) document.getElementById('attribution').style.display = 'none';
+        if (options.progress) this.progressEl.hidden = false;
+
+        this.engine.setProgressAnchor(options.anchor);
+        this.setTarget({ year: options.year, date: options.date, timezone: options.timezone });
+
+        if (this.isEmbedded()) {
+            window.addEventListener('message', (e) => this.handleMessage(e));
+            window.addEventListener('resize', () => this.sendHeight());
+            if (window.ResizeObserver) {
+                new ResizeObserver(() => this.sendHeight()).observe(this.widget);
+            }
+            this.sendHeight();
+        }
+
+        this.isReady = true;
+        this.emit('ready', this.getState());
+        return this;
+    }
+
+    /**
+     * Whether the widget is running inside a host page's iframe
+     */
+    isEmbedded() {
+        return window.parent !== window;
+    }
+
+    /**
+     * Count down to a year's Boxing Day or a custom date, optionally in a timezone
+     */
+    setTarget({ year = null, date = null, name = null, timezone } = {}) {
+        this.engine.stop();
+        if (timezone !== undefined) {
+            this.engine.setTimezone(timezone);
+        }
+
+        if (date) {
+            if (isNaN(new Date(date).getTime())) throw new Error(`Invalid date: ${date}`);
+            this.engine.setCustomDate(date, name || this.options.title || 'Custom Event');
+        } else {
+            this.engine.setBoxingDay(parseInt(year) || null);
+        }
+
+        this.lastRemaining = null;
+        this.renderUnits();
+        this.renderMetrics();
+        if (!this.isPaused) this.engine.start();
+        return this.getState();
+    }
+
+    /**
+     * Switch to a ThemeManager theme, or the classic dark/light looks
+     */
+    setTheme(theme = 'dark') {
+        const root = document.documentElement;
+        const data = this.themeManager.themes[theme];
+
+        this.widget.classList.toggle('widget--light', theme === 'light');
+        if (data) {
+            this.themeManager.setTheme(theme);
+            root.style.setProperty('--accent', data.accent);
+            root.style.setProperty('--theme-gradient-1', data.gradient1);
+            root.style.setProperty('--theme-gradient-2', data.gradient2);
+        } else if (theme === 'dark' || theme === 'light') {
+            root.removeAttribute('data-theme');
+            ['--accent', '--theme-gradient-1', '--theme-gradient-2'].forEach(name => root.style.removeProperty(name));
+            this.particleSystem?.setParticleType('snow');
+        } else {
+            throw new Error(`Unknown theme: ${theme}`);
+        }
+
+        this.theme = theme;
+        return this.getState();
+    }
+
+    /**
+     * Choose units: a CountdownEngine.UNIT_SETS name or a list of unit names
+     */
+    setUnits(units) {
+        this.engine.setUnits(EmbedWidget.parseUnits(units));
+        this.renderUnits();
+        this.engine.update();
+        return this.getState();
+    }
+
+    /**
+     * Freeze the countdown display
+     */
+    pause() {
+        this.isPaused = true;
+        this.engine.stop();
+        return this.getState();
+    }
+
+    /**
+     * Resume a paused countdown
+     */
+    resume() {
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.engine.start();
+        }
+        return this.getState();
+    }
+
+    /**
+     * Build the unit boxes for the engine's units
+     */
+    renderUnits() {
+        this.unitsEl.innerHTML = this.engine.units.map(unit => `
+            <div class="unit">
+                <span class="number" data-unit="${unit}">00</span>
+                <span class="label">${EmbedWidget.LABELS[unit]}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Build the extra progress bars asked for in the URL
+     */
+    renderMetrics() {
+        if (!this.options.progress) return;
+
+        this.metricsEl.innerHTML = this.engine.getProgressMetrics(this.options.metrics).map(metric => `
+            <div class="progress__metric" data-metric="${metric.id}">
+                <span class="progress__label">${metric.label}</span>
+                <div class="progress__bar"><div class="progress__fill"></div></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render a tick and emit tick/milestone events
+     */
+    onUpdate(remaining) {
+        this.unitsEl.querySelectorAll('[data-unit]').forEach(el => {
+            el.textContent = CountdownEngine.formatUnit(remaining[el.dataset.unit]);
+        });
+
+        if (this.options.progress) {
+            this.progressFillEl.style.width = `${remaining.progress}%`;
+            this.engine.getProgressMetrics(this.options.metrics).forEach(metric => {
+                const fill = this.metricsEl.querySelector(`[data-metric="${metric.id}"] .progress__fill`);
+                if (fill) fill.style.width = `${metric.progress}%`;
+            });
+        }
+
+        const { engine } = this;
+        if (remaining.isComplete) {
+            this.titleEl.textContent = `🎉 ${engine.completionMessage}`;
+        } else {
+            this.titleEl.textContent = this.options.title || (engine.isCustom ? engine.eventName : 'Boxing Day Countdown');
+        }
+
+        // Milestones crossed since the previous tick (never on the first one)
+        if (this.lastRemaining !== null && !remaining.isComplete) {
+            this.milestones
+                .filter(m => this.lastRemaining > m.offset && remaining.total <= m.offset)
+                .slice(-1)
+                .forEach(m => this.emit('milestone', { id: m.id, offset: m.offset, label: m.label, ...this.getState() }));
+        }
+        this.lastRemaining = remaining.total;
+
+        const now = Date.now();
+        if (this.tickInterval > 0 && now - this.lastTickSent >= this.tickInterval) {
+            this.lastTickSent = now;
+            this.emit('tick', this.getState(remaining));
+        }
+    }
+
+    /**
+     * Snapshot of the widget for events and command replies
+     */
+    getState(remaining = this.engine.calculateTimeRemaining()) {
+        return {
+            target: this.engine.targetDate.toISOString(),
+            year: this.engine.targetYear || null,
+            name: this.engine.isCustom ? this.engine.eventName : 'Boxing Day',
+            timezone: this.engine.timezone,
+            theme: this.theme,
+            units: this.engine.units,
+            paused: this.isPaused,
+            remaining: Object.fromEntries(this.engine.units.map(unit => [unit, remaining[unit]])),
+            total: remaining.total,
+            progress: parseFloat(remaining.progress),
+            isComplete: remaining.isComplete
+        };
+    }
+
+    /**
+     * Whether a host origin may control the widget
+     */
+    isAllowedOrigin(origin) {
+        return !this.allowedOrigins.length || this.allowedOrigins.includes(origin);
+    }
+
+    /**
+     * Post an event to the host. With an allow-list each listed origin is
+     * targeted in turn, so other embedders never see the events.
+     */
+    post(message) {
+        if (!this.isEmbedded()) return;
+
+        const targets = this.allowedOrigins.length ? this.allowedOrigins : ['*'];
+        targets.forEach(origin => {
+            try {
+                window.parent.postMessage(message, origin);
+            } catch (e) { }
+        });
+    }
+
+    /**
+     * Emit a protocol event, e.g. 'tick' as boxingday-widget-tick
+     */
+    emit(event, data = {}) {
+        this.post({ type: `boxingday-widget-${event}`, ...data });
+    }
+
+    /**
+     * Report the widget's height so the host can size the iframe
+     */
+    sendHeight() {
+        const height = Math.ceil(this.widget.getBoundingClientRect().height);
+        if (height === this.lastHeight) return;
+        this.lastHeight = height;
+        this.emit('height', { height });
+    }
+
+    /**
+     * Run a command from the host and reply with the result
+     */
+    handleMessage(event) {
+        const message = event.data;
+        if (event.source !== window.parent || message?.type !== 'boxingday-command') return;
+        if (!this.isAllowedOrigin(event.origin)) return;
+
+        const reply = (data) => this.emit('result', { id: message.id, command: message.command, ...data });
+        const commands = {
+            setTarget: (args) => this.setTarget(args),
+            setTheme: (args) => this.setTheme(args.theme),
+            setUnits: (args) => this.setUnits(args.units),
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            getState: () => this.getState()
+        };
+
+        const command = commands[message.command];
+        if (!command) {
+            reply({ ok: false, error: `Unknown command: ${message.command}` });
+            return;
+        }
+
+        try {
+            reply({ ok: true, state: command(message.args || {}) });
+        } catch (e) {
+            reply({ ok: false, error: e.message });
+        }
+    }
+
+    /**
+     * Accept a unit set name, an array, or a comma list such as "days,hours"
+     */
+    static parseUnits(units) {
+        if (typeof units === 'string' && !CountdownEngine.UNIT_SETS[units]) {
+            return units.split(',').map(unit => unit.trim());
+        }
+        return units;
+    }
+
+    /**
+     * Read widget options from embed.html's query string
+     */
+    static parseOptions(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const tickInterval = parseInt(params.get('tickInterval'));
+        const anchor = params.get('anchor');
+
+        return {
+            year: parseInt(params.get('year')) || null,
+            date: params.get('date'),
+            title: params.get('title'),
+            timezone: params.get('tz'),
+            theme: params.get('theme') || 'dark',
+            // Existing embeds showed days to seconds, so that stays the default
+            units: params.get('units') || 'daysOnly',
+            particles: params.get('particles') === 'true',
+            compact: params.get('compact') === 'true',
+            hideLink: params.get('hideLink') === 'true',
+            transparent: params.get('transparent') === 'true',
+            progress: params.get('progress') === 'true',
+            // 'yearStart', 'previous', or the date progress is measured from
+            anchor: !anchor ? null
+                : CountdownEngine.PROGRESS_ANCHORS.includes(anchor) ? { type: anchor }
+                    : { type: 'custom', date: anchor },
+            metrics: (params.get('metrics') || '').split(',').map(metric => metric.trim()).filter(Boolean),
+            origins: (params.get('origins') || '').split(',').map(origin => origin.trim()).filter(Boolean),
+            tickInterval: isNaN(tickInterval) ? 1000 : Math.max(0, tickInterval)
+        };
+    }
+}
+
+// Short labels that fit the widget's boxes
+EmbedWidget.LABELS = {
+    years: 'Years',
+    months: 'Months',
+    weeks: 'Weeks',
+    days: 'Days',
+    hours: 'Hours',
+    minutes: 'Mins',
+    seconds: 'Secs'
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmbedWidget };
+}
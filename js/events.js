@@ -0,0 +1,119 @@
+/**
+ * Boxing Day Countdown - Event Presets
+ * Events the countdown can target: name, date rule, completion and
+ * celebration messages and the point the progress bar is measured from
+ */
+
+const EventPresets = {
+    defaultEvent: 'boxingday',
+
+    events: {
+        boxingday: {
+            name: 'Boxing Day',
+            emoji: '🛍️',
+            tagline: 'Countdown to the Ultimate Shopping Event',
+            // December 26, or the holiday region's observed day (see CountdownEngine.getTargetDay)
+            rule: { type: 'holiday' },
+            completionMessage: "It's Boxing Day!",
+            celebrationTitle: 'Happy Boxing Day!',
+            // ParticleSystem effect while the day is celebrated
+            celebrationEffect: 'confetti',
+            celebrationMessage: 'Time for the biggest shopping event of the year!',
+            greeting: 'Happy Shopping!',
+            progressAnchor: 'yearStart'
+        },
+        christmas: {
+            name: 'Christmas Day',
+            emoji: '🎄',
+            tagline: 'Countdown to Christmas Morning',
+            rule: { type: 'fixed', month: 11, day: 25 },
+            completionMessage: "It's Christmas Day!",
+            celebrationTitle: 'Merry Christmas!',
+            celebrationEffect: 'confetti',
+            celebrationMessage: 'Merry Christmas - time to open the presents!',
+            greeting: 'Merry Christmas!',
+            progressAnchor: 'yearStart'
+        },
+        newyearseve: {
+            name: "New Year's Eve",
+            emoji: '🎆',
+            tagline: 'Countdown to Midnight',
+            // Midnight at the end of December 31
+            rule: { type: 'fixed', month: 11, day: 31, hour: 24 },
+            completionMessage: 'Happy New Year!',
+            celebrationTitle: 'Happy New Year!',
+            celebrationEffect: 'fireworks',
+            // The celebration counts up through New Year's Day, not the eve
+            elapsedLabel: 'It has been the new year for',
+            celebrationMessage: 'The new year has arrived!',
+            greeting: 'Cheers!',
+            progressAnchor: 'yearStart'
+        },
+        blackfriday: {
+            name: 'Black Friday',
+            emoji: '🏷️',
+            tagline: 'Countdown to the Biggest Deals of the Year',
+            // The day after US Thanksgiving, the fourth Thursday of November
+            rule: { type: 'nthWeekday', month: 10, weekday: 4, n: 4, offsetDays: 1 },
+            completionMessage: "It's Black Friday!",
+            celebrationTitle: 'Happy Black Friday!',
+            celebrationEffect: 'confetti',
+            celebrationMessage: 'The Black Friday deals are live!',
+            greeting: 'Happy Shopping!',
+            progressAnchor: 'previous'
+        },
+        cybermonday: {
+            name: 'Cyber Monday',
+            emoji: '💻',
+            tagline: 'Countdown to the Online Deals',
+            // The Monday after Thanksgiving
+            rule: { type: 'nthWeekday', month: 10, weekday: 4, n: 4, offsetDays: 4 },
+            completionMessage: "It's Cyber Monday!",
+            celebrationTitle: 'Happy Cyber Monday!',
+            celebrationEffect: 'confetti',
+            celebrationMessage: 'The Cyber Monday deals are live!',
+            greeting: 'Happy Shopping!',
+            progressAnchor: 'previous'
+        }
+    },
+
+    /**
+     * Look up an event, falling back to Boxing Day for unknown ids
+     */
+    get(eventId) {
+        const id = this.events[eventId] ? eventId : this.defaultEvent;
+        return { id, ...this.events[id] };
+    },
+
+    /**
+     * Events for pickers, in table order
+     */
+    getList() {
+        return Object.keys(this.events).map(id => this.get(id));
+    },
+
+    /**
+     * Wall-clock month (0-based), day and hour a date rule falls on in a year.
+     * Days past the end of the month roll into the next, as Date.UTC does.
+     */
+    getTargetParts(rule, year) {
+        switch (rule.type) {
+            case 'fixed':
+                return { month: rule.month, day: rule.day, hour: rule.hour || 0 };
+
+            case 'nthWeekday': {
+                const first = new Date(Date.UTC(year, rule.month, 1)).getUTCDay();
+                const day = 1 + ((rule.weekday - first + 7) % 7) + (rule.n - 1) * 7 + (rule.offsetDays || 0);
+                return { month: rule.month, day, hour: rule.hour || 0 };
+            }
+
+            default:
+                throw new Error(`Unknown event rule: ${rule.type}`);
+        }
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventPresets };
+}
@@ -0,0 +1,83 @@
+/**
+ * Boxing Day Countdown - Regional Holiday Rules
+ * How each region observes December 26: what it is called, whether it is a
+ * public holiday, and which weekday takes over when it falls on a weekend
+ */
+
+const HolidayRules = {
+    defaultRegion: 'gb-eng',
+
+    // Days to move the holiday forward, by the weekday December 26 falls on (0 = Sunday)
+    substitutions: {
+        // Saturday -> Monday 28th; Sunday -> Tuesday 28th, as Christmas Day's substitute takes Monday 27th
+        weekday: { 6: 2, 0: 2 },
+        // Sunday -> Monday 27th; a Saturday holiday is not replaced
+        sundayToMonday: { 0: 1 },
+        none: {}
+    },
+
+    regions: {
+        'gb-eng': { name: 'England & Wales', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'gb-sct': { name: 'Scotland', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'gb-nir': { name: 'Northern Ireland', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'au': { name: 'Australia', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'nz': { name: 'New Zealand', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'ca-federal': { name: 'Canada (federal)', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'ca-on': { name: 'Ontario', holiday: 'Boxing Day', publicHoliday: true, substitution: 'weekday' },
+        'ca-bc': { name: 'British Columbia', holiday: 'Boxing Day', publicHoliday: false, substitution: 'none' },
+        'ca-ab': { name: 'Alberta', holiday: 'Boxing Day', publicHoliday: false, substitution: 'none' },
+        'ca-qc': { name: 'Quebec', holiday: 'Boxing Day', publicHoliday: false, substitution: 'none' },
+        'za': { name: 'South Africa', holiday: 'Day of Goodwill', publicHoliday: true, substitution: 'sundayToMonday' },
+        'ie': { name: 'Ireland', holiday: "St. Stephen's Day", publicHoliday: true, substitution: 'weekday' }
+    },
+
+    /**
+     * Look up a region, falling back to the default for unknown ids
+     */
+    getRegion(regionId) {
+        const id = this.regions[regionId] ? regionId : this.defaultRegion;
+        return { id, ...this.regions[id] };
+    },
+
+    /**
+     * Regions for pickers, in table order
+     */
+    getRegionList() {
+        return Object.keys(this.regions).map(id => this.getRegion(id));
+    },
+
+    /**
+     * How a region observes December 26 in a year. Dates are local calendar
+     * dates; `day` is the observed day of December.
+     */
+    getHoliday(regionId, year) {
+        const region = this.getRegion(regionId);
+        const date = new Date(year, 11, 26);
+        const shift = (region.publicHoliday && this.substitutions[region.substitution][date.getDay()]) || 0;
+        const observed = new Date(year, 11, 26 + shift);
+
+        return {
+            region: region.id,
+            name: region.holiday,
+            year,
+            date,
+            observed,
+            day: observed.getDate(),
+            isWeekend: date.getDay() === 0 || date.getDay() === 6,
+            isSubstitute: shift > 0,
+            publicHoliday: region.publicHoliday
+        };
+    },
+
+    /**
+     * Day of December a countdown targets: the 26th, or the observed holiday
+     */
+    getTargetDay(regionId, year, target = 'calendar') {
+        return target === 'observed' ? this.getHoliday(regionId, year).day : 26;
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HolidayRules };
+}
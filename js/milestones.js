@@ -0,0 +1,142 @@
+/**
+ * Boxing Day Countdown - Milestone Reminders
+ * Fires chime/notification/toast reminders as a countdown crosses configured points
+ */
+
+const MilestoneManager = {
+    // Default reminders for a countdown that has none saved yet
+    presets: [
+        { id: '100d', offset: 100 * 24 * 60 * 60 * 1000 },
+        { id: '30d', offset: 30 * 24 * 60 * 60 * 1000 },
+        { id: '7d', offset: 7 * 24 * 60 * 60 * 1000 },
+        { id: '1d', offset: 24 * 60 * 60 * 1000 },
+        { id: '1h', offset: 60 * 60 * 1000 },
+        { id: '10s', offset: 10 * 1000 }
+    ],
+
+    units: {
+        days: 24 * 60 * 60 * 1000,
+        hours: 60 * 60 * 1000,
+        minutes: 60 * 1000,
+        seconds: 1000
+    },
+
+    // How late a milestone may still fire when the page was not open as it passed
+    graceMs: 60 * 1000,
+
+    // Remaining time seen on the previous check, per countdown and target
+    lastRemaining: {},
+
+    /**
+     * Build a milestone with every channel switched on
+     */
+    create(offset, id = null) {
+        return {
+            id: id || `${Math.round(offset / 1000)}s`,
+            offset,
+            label: this.formatOffset(offset),
+            enabled: true,
+            chime: true,
+            notification: true,
+            toast: true
+        };
+    },
+
+    /**
+     * Get the milestones for a countdown ('boxingday' or a custom countdown id)
+     */
+    getMilestones(countdownId) {
+        const saved = StorageManager.getMilestones(countdownId);
+        if (saved) return saved;
+        return this.presets.map(p => this.create(p.offset, p.id));
+    },
+
+    /**
+     * Save the milestones for a countdown, largest offset first
+     */
+    saveMilestones(countdownId, milestones) {
+        const sorted = [...milestones].sort((a, b) => b.offset - a.offset);
+        StorageManager.saveMilestones(countdownId, sorted);
+        return sorted;
+    },
+
+    /**
+     * Add a milestone from a value and unit (e.g. 3, 'days')
+     */
+    addMilestone(countdownId, value, unit) {
+        const offset = Math.round(Number(value) * (this.units[unit] || 0));
+        if (!(offset > 0)) return null;
+
+        const milestones = this.getMilestones(countdownId);
+        const milestone = this.create(offset);
+        if (milestones.some(m => m.offset === offset)) return null;
+
+        this.saveMilestones(countdownId, [...milestones, milestone]);
+        return milestone;
+    },
+
+    /**
+     * Update one milestone's settings
+     */
+    updateMilestone(countdownId, milestoneId, changes) {
+        const milestones = this.getMilestones(countdownId).map(m =>
+            m.id === milestoneId ? { ...m, ...changes } : m
+        );
+        return this.saveMilestones(countdownId, milestones);
+    },
+
+    /**
+     * Remove a milestone
+     */
+    removeMilestone(countdownId, milestoneId) {
+        const milestones = this.getMilestones(countdownId).filter(m => m.id !== milestoneId);
+        return this.saveMilestones(countdownId, milestones);
+    },
+
+    /**
+     * Return the milestone crossed since the last check (the closest one when a
+     * jump crosses several) and record every crossed one as fired, so none fires
+     * twice for the same target - not even after a reload
+     */
+    check(countdownId, targetTime, remainingMs) {
+        const key = `${countdownId}@${targetTime}`;
+        const previous = this.lastRemaining[key];
+        this.lastRemaining[key] = remainingMs;
+
+        if (remainingMs <= 0) return [];
+
+        const crossed = this.getMilestones(countdownId).filter(milestone => {
+            if (!milestone.enabled || remainingMs > milestone.offset) return false;
+
+            // Crossed while open, or only just crossed before the page loaded
+            const justCrossed = previous !== undefined
+                ? previous > milestone.offset
+                : milestone.offset - remainingMs <= this.graceMs;
+            if (!justCrossed) return false;
+
+            const firedKey = `${milestone.id}@${targetTime}`;
+            if (StorageManager.hasMilestoneFired(countdownId, firedKey)) return false;
+
+            StorageManager.markMilestoneFired(countdownId, firedKey);
+            return true;
+        });
+
+        return crossed.slice(-1);
+    },
+
+    /**
+     * Format an offset as "7 days", "1 hour" or "10 seconds"
+     */
+    formatOffset(offset) {
+        const [unit, size] = Object.entries(this.units).find(([, ms]) => offset >= ms && offset % ms === 0)
+            || ['seconds', 1000];
+        const value = Math.round(offset / size);
+        const name = value === 1 ? unit.slice(0, -1) : unit;
+        return `${value} ${name}`;
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MilestoneManager };
+}
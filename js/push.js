@@ -0,0 +1,155 @@
+/**
+ * Boxing Day Countdown - Web Push Subscriptions
+ * Subscribes the service worker to push with the app's VAPID key and keeps the
+ * subscription stored locally (and on the push server, when one is configured)
+ */
+
+const PushSubscriptionManager = {
+    storageKey: 'push_subscription',
+
+    /**
+     * Whether this browser can receive push messages
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    },
+
+    /**
+     * Read a <meta name="..."> value from the page
+     */
+    getMeta(name) {
+        return document.querySelector(`meta[name="${name}"]`)?.content?.trim() || '';
+    },
+
+    /**
+     * The push server that schedules reminders (optional)
+     */
+    getServerUrl() {
+        return this.getMeta('push-server').replace(/\/$/, '');
+    },
+
+    /**
+     * Get the VAPID public key from the page, or from the push server
+     */
+    async getPublicKey() {
+        const key = this.getMeta('vapid-public-key');
+        if (key) return key;
+
+        const server = this.getServerUrl();
+        if (!server) return null;
+
+        const response = await fetch(`${server}/vapid-public-key`);
+        if (!response.ok) throw new Error(`Push server returned ${response.status}`);
+        return (await response.json()).publicKey;
+    },
+
+    /**
+     * Convert a base64url VAPID key to the Uint8Array pushManager expects
+     */
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = atob(base64);
+        return Uint8Array.from(raw, char => char.charCodeAt(0));
+    },
+
+    /**
+     * Get the stored subscription (plain JSON), if any
+     */
+    getSubscription() {
+        return StorageManager.get(this.storageKey, null);
+    },
+
+    /**
+     * Current state: 'unsupported', 'denied', 'subscribed' or 'unsubscribed'
+     */
+    getStatus() {
+        if (!this.isSupported()) return 'unsupported';
+        if (Notification.permission === 'denied') return 'denied';
+        return this.getSubscription() ? 'subscribed' : 'unsubscribed';
+    },
+
+    /**
+     * Ask for permission, subscribe the service worker and store the subscription.
+     * details ({ timezone, milestones }) is forwarded to the push server.
+     */
+    async subscribe(details = {}) {
+        if (!this.isSupported()) throw new Error('Push messages are not supported in this browser');
+
+        const granted = await NotificationManager.requestPermission();
+        if (!granted) throw new Error('Notification permission was not granted');
+
+        const key = await this.getPublicKey();
+        if (!key) throw new Error('No VAPID public key configured');
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription()
+            || await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.urlBase64ToUint8Array(key)
+            });
+
+        return this.saveSubscription(subscription.toJSON(), details);
+    },
+
+    /**
+     * Store a subscription and register it with the push server
+     */
+    async saveSubscription(subscription, details = {}) {
+        StorageManager.set(this.storageKey, subscription);
+        await this.sendToServer('POST', subscription, details);
+        return subscription;
+    },
+
+    /**
+     * Unsubscribe the service worker and forget the subscription
+     */
+    async unsubscribe() {
+        const stored = this.getSubscription();
+
+        if (this.isSupported()) {
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription();
+            if (subscription) await subscription.unsubscribe();
+        }
+
+        StorageManager.remove(this.storageKey);
+        if (stored) await this.sendToServer('DELETE', stored);
+    },
+
+    /**
+     * Tell the push server about a subscription change (no-op without a server)
+     */
+    async sendToServer(method, subscription, details = {}) {
+        const server = this.getServerUrl();
+        if (!server) return;
+
+        try {
+            await fetch(`${server}/subscriptions`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ subscription, ...details })
+            });
+        } catch (e) {
+            console.warn('Push server unreachable:', e);
+        }
+    },
+
+    /**
+     * Keep the stored copy current when the service worker renews the subscription
+     */
+    listen(getDetails = () => ({})) {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'push-subscription-changed' && event.data.subscription) {
+                this.saveSubscription(event.data.subscription, getDetails());
+            }
+        });
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PushSubscriptionManager };
+}
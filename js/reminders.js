@@ -0,0 +1,124 @@
+/**
+ * Boxing Day Countdown - Offline Reminder Schedule
+ * Hands the upcoming reminders to the service worker, which keeps them in
+ * IndexedDB and shows them with the tab closed (Notification Triggers or
+ * Periodic Background Sync), and collects the ones missed while the app was shut
+ */
+
+const ReminderScheduler = {
+    periodicSyncTag: 'check-reminders',
+    periodicSyncInterval: 12 * 60 * 60 * 1000,
+
+    // Schedule last sent to the service worker, so unchanged ones are not resent
+    lastSignature: null,
+
+    /**
+     * Whether a service worker can own the schedule
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator;
+    },
+
+    /**
+     * Build the reminder list for a countdown: one per enabled milestone plus the
+     * moment itself. firedKey matches MilestoneManager's fired keys.
+     */
+    buildSchedule(countdownId, eventName, targetTime, milestones) {
+        const reminders = milestones
+            .filter(m => m.enabled && (m.notification || m.toast || m.chime))
+            .map(m => ({
+                id: `${countdownId}:${m.id}@${targetTime}`,
+                countdownId,
+                firedKey: `${m.id}@${targetTime}`,
+                time: targetTime - m.offset,
+                title: `⏰ ${m.label} until ${eventName}!`,
+                body: `${eventName} is ${m.label} away.`,
+                tag: `milestone-${m.id}`,
+                notify: Boolean(m.notification)
+            }));
+
+        reminders.push({
+            id: `${countdownId}:complete@${targetTime}`,
+            countdownId,
+            firedKey: null,
+            time: targetTime,
+            title: eventName === 'Boxing Day' ? "🎉 It's Boxing Day!" : `🎉 ${eventName} is here!`,
+            body: 'The countdown is complete.',
+            tag: 'boxingday',
+            notify: true
+        });
+
+        return reminders.sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Post a message to the active service worker and wait for its reply
+     */
+    async request(message) {
+        const registration = await navigator.serviceWorker.ready;
+        const worker = registration.active;
+        if (!worker) return null;
+
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), 5000);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data);
+            };
+            worker.postMessage(message, [channel.port2]);
+        });
+    },
+
+    /**
+     * Replace the service worker's schedule (skipped when nothing changed)
+     */
+    async sync(reminders) {
+        if (!this.isSupported()) return false;
+
+        const signature = JSON.stringify(reminders);
+        if (signature === this.lastSignature) return true;
+        this.lastSignature = signature;
+
+        const reply = await this.request({ type: 'schedule-reminders', reminders });
+        await this.registerPeriodicSync();
+        return Boolean(reply?.ok);
+    },
+
+    /**
+     * Ask the browser to wake the service worker periodically (where supported)
+     */
+    async registerPeriodicSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.periodicSync) return false;
+
+            const status = await navigator.permissions?.query({ name: 'periodic-background-sync' });
+            if (status && status.state !== 'granted') return false;
+
+            await registration.periodicSync.register(this.periodicSyncTag, {
+                minInterval: this.periodicSyncInterval
+            });
+            return true;
+        } catch (e) {
+            console.warn('Periodic sync unavailable:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Collect reminders that came due while no tab was open and the service
+     * worker could not show them
+     */
+    async catchUp() {
+        if (!this.isSupported()) return [];
+
+        const reply = await this.request({ type: 'collect-missed-reminders' });
+        return reply?.missed || [];
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReminderScheduler };
+}
@@ -0,0 +1,391 @@
+/**
+ * Boxing Day Countdown - Snapshot Cards
+ * Renders the countdown as a shareable PNG or SVG card. One layout of simple
+ * shapes feeds both the canvas and the SVG renderer so the formats match.
+ */
+
+const SnapshotGenerator = {
+    presets: {
+        landscape: { name: 'Link preview (1200×630)', width: 1200, height: 630 },
+        story: { name: 'Story (1080×1920)', width: 1080, height: 1920 },
+        square: { name: 'Square post (1080×1080)', width: 1080, height: 1080 }
+    },
+
+    fonts: {
+        display: "'Playfair Display', Georgia, serif",
+        body: "'Inter', -apple-system, 'Segoe UI', sans-serif"
+    },
+
+    // Particle looks, matching ParticleSystem's colours
+    particleColors: {
+        ribbons: ['#dc2626', '#22c55e'],
+        lights: ['#f87171', '#34d399', '#60a5fa', '#fbbf24', '#a78bfa'],
+        sparkle: ['#fcd34d'],
+        snow: ['#ffffff']
+    },
+
+    /**
+     * Small seeded PRNG so a card's particles are the same every render
+     */
+    random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Describe the card as a list of shapes.
+     * data: { theme, eventName, units: [{ label, value }], readable, progress, url }
+     */
+    buildLayout(data, width, height) {
+        const shapes = [];
+        const theme = data.theme;
+        const accent = theme.accent || '#ffcf7d';
+        const scale = Math.min(width, height) / 630;
+        const farthest = (x, y) => Math.hypot(Math.max(x, width - x), Math.max(y, height - y));
+
+        // Background: the page's body gradients
+        shapes.push({ type: 'rect', x: 0, y: 0, w: width, h: height, fill: '#020617' });
+        shapes.push({ type: 'radial', cx: width * 0.2, cy: height * 0.3, r: farthest(width * 0.2, height * 0.3) * 0.5, color: theme.gradient1 });
+        shapes.push({ type: 'radial', cx: width * 0.8, cy: height * 0.7, r: farthest(width * 0.8, height * 0.7) * 0.5, color: theme.gradient2 });
+
+        shapes.push(...this.buildParticles(theme.particleType, width, height, scale));
+
+        // Text block and unit boxes, centred vertically. Wide cards fit every
+        // unit on one row; square and tall ones wrap them.
+        const wide = width / height >= 1.5;
+        const units = data.units;
+        const columns = wide || units.length <= 3 ? units.length : (units.length === 4 ? 2 : 3);
+        const rows = Math.ceil(units.length / columns);
+        const gap = 16 * scale;
+        const titleSize = this.fitText(data.eventName, width * 0.86, 64 * scale, 0.62);
+        const textHeight = 24 * scale + titleSize * 1.3 + 36 * scale + (rows - 1) * gap + 90 * scale;
+
+        // Boxes as large as fit across, and down within 80% of the card
+        const boxWidth = Math.min(
+            170 * scale,
+            (width * 0.86 - gap * (columns - 1)) / columns,
+            (height * 0.8 - textHeight) / rows / 0.95
+        );
+        const boxHeight = boxWidth * 0.95;
+        const blockHeight = textHeight + rows * boxHeight;
+        let y = (height - blockHeight) / 2;
+
+        shapes.push({
+            type: 'text', x: width / 2, y: y + 18 * scale, text: 'COUNTDOWN TO',
+            size: 18 * scale, weight: 600, fill: accent, font: this.fonts.body, spacing: 4 * scale
+        });
+        y += 24 * scale + titleSize * 1.1;
+        shapes.push({
+            type: 'text', x: width / 2, y, text: data.eventName,
+            size: titleSize, weight: 700, fill: '#ffffff', font: this.fonts.display
+        });
+        y += titleSize * 0.2 + 36 * scale;
+
+        units.forEach((unit, i) => {
+            const row = Math.floor(i / columns);
+            const inRow = Math.min(columns, units.length - row * columns);
+            const col = i % columns;
+            const rowWidth = inRow * boxWidth + (inRow - 1) * gap;
+            const x = (width - rowWidth) / 2 + col * (boxWidth + gap);
+            const top = y + row * (boxHeight + gap);
+
+            shapes.push({
+                type: 'rect', x, y: top, w: boxWidth, h: boxHeight, r: 18 * scale,
+                fill: 'rgba(255, 255, 255, 0.06)', stroke: 'rgba(255, 255, 255, 0.12)'
+            });
+            shapes.push({
+                type: 'text', x: x + boxWidth / 2, y: top + boxHeight * 0.58, text: CountdownEngine.formatUnit(unit.value),
+                size: boxWidth * 0.4, weight: 600, fill: '#ffffff', font: this.fonts.body
+            });
+            shapes.push({
+                type: 'text', x: x + boxWidth / 2, y: top + boxHeight * 0.82, text: unit.label.toUpperCase(),
+                size: this.fitText(unit.label, boxWidth * 0.8, 13 * scale, 0.85), weight: 600,
+                fill: accent, font: this.fonts.body, spacing: 2 * scale
+            });
+        });
+        y += rows * boxHeight + (rows - 1) * gap + 40 * scale;
+
+        // Progress bar
+        const barWidth = Math.min(width * 0.6, 520 * scale);
+        const barX = (width - barWidth) / 2;
+        shapes.push({ type: 'rect', x: barX, y, w: barWidth, h: 8 * scale, r: 4 * scale, fill: 'rgba(255, 255, 255, 0.1)' });
+        shapes.push({
+            type: 'rect', x: barX, y, w: Math.max(8 * scale, barWidth * (data.progress || 0) / 100),
+            h: 8 * scale, r: 4 * scale, fill: accent
+        });
+        y += 40 * scale;
+
+        shapes.push({
+            type: 'text', x: width / 2, y, text: data.readable,
+            size: this.fitText(data.readable, width * 0.86, 20 * scale, 0.55), weight: 400,
+            fill: 'rgba(255, 255, 255, 0.75)', font: this.fonts.body
+        });
+
+        shapes.push({
+            type: 'text', x: width / 2, y: height - 36 * scale, text: data.url,
+            size: 16 * scale, weight: 400, fill: 'rgba(255, 255, 255, 0.5)', font: this.fonts.body
+        });
+
+        return shapes;
+    },
+
+    /**
+     * Decorative particles in the theme's style
+     */
+    buildParticles(type, width, height, scale) {
+        const colors = this.particleColors[type];
+        if (!colors) return [];
+
+        const rand = this.random(width * 31 + height);
+        const count = type === 'ribbons' ? 28 : 90;
+        const pick = () => colors[Math.floor(rand() * colors.length)];
+
+        return Array.from({ length: count }, () => {
+            const x = rand() * width;
+            const y = rand() * height;
+            const opacity = rand() * 0.5 + 0.2;
+
+            switch (type) {
+                case 'ribbons': {
+                    const w = (rand() * 20 + 10) * scale;
+                    const h = (rand() * 60 + 30) * scale;
+                    const angle = rand() * Math.PI * 2;
+                    const corners = [[-w, -h], [w, -h], [w, h], [-w, h]].map(([dx, dy]) => [
+                        x + (dx / 2) * Math.cos(angle) - (dy / 2) * Math.sin(angle),
+                        y + (dx / 2) * Math.sin(angle) + (dy / 2) * Math.cos(angle)
+                    ]);
+                    return { type: 'polygon', points: corners, fill: pick(), opacity: opacity * 0.7 };
+                }
+                case 'sparkle': {
+                    const outer = (rand() * 3 + 2) * scale;
+                    const points = Array.from({ length: 8 }, (_, i) => {
+                        const radius = i % 2 ? outer / 2 : outer;
+                        const angle = Math.PI * 1.5 + (i * Math.PI) / 4;
+                        return [x + Math.cos(angle) * radius, y + Math.sin(angle) * radius];
+                    });
+                    return { type: 'polygon', points, fill: pick(), opacity };
+                }
+                case 'lights':
+                    return { type: 'circle', cx: x, cy: y, r: (rand() * 4 + 2) * scale, fill: pick(), opacity, glow: true };
+                default:
+                    return { type: 'circle', cx: x, cy: y, r: (rand() * 2 + 0.5) * scale, fill: pick(), opacity };
+            }
+        });
+    },
+
+    /**
+     * Largest font size (up to max) at which text roughly fits a width
+     */
+    fitText(text, maxWidth, maxSize, charWidth) {
+        return Math.min(maxSize, maxWidth / Math.max(1, String(text).length * charWidth));
+    },
+
+    /**
+     * Draw a layout onto a canvas
+     */
+    renderToCanvas(canvas, shapes, width, height) {
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        shapes.forEach(shape => {
+            ctx.save();
+            ctx.globalAlpha = shape.opacity ?? 1;
+
+            switch (shape.type) {
+                case 'radial': {
+                    const gradient = ctx.createRadialGradient(shape.cx, shape.cy, 0, shape.cx, shape.cy, shape.r);
+                    gradient.addColorStop(0, shape.color);
+                    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                    ctx.fillStyle = gradient;
+                    ctx.fillRect(0, 0, width, height);
+                    break;
+                }
+                case 'rect':
+                    ctx.beginPath();
+                    if (shape.r && ctx.roundRect) {
+                        ctx.roundRect(shape.x, shape.y, shape.w, shape.h, shape.r);
+                    } else {
+                        ctx.rect(shape.x, shape.y, shape.w, shape.h);
+                    }
+                    ctx.fillStyle = shape.fill;
+                    ctx.fill();
+                    if (shape.stroke) {
+                        ctx.strokeStyle = shape.stroke;
+                        ctx.stroke();
+                    }
+                    break;
+                case 'circle':
+                    if (shape.glow) {
+                        ctx.shadowColor = shape.fill;
+                        ctx.shadowBlur = shape.r * 4;
+                    }
+                    ctx.beginPath();
+                    ctx.arc(shape.cx, shape.cy, shape.r, 0, Math.PI * 2);
+                    ctx.fillStyle = shape.fill;
+                    ctx.fill();
+                    break;
+                case 'polygon':
+                    ctx.beginPath();
+                    shape.points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+                    ctx.closePath();
+                    ctx.fillStyle = shape.fill;
+                    ctx.fill();
+                    break;
+                case 'text':
+                    ctx.font = `${shape.weight} ${shape.size}px ${shape.font}`;
+                    ctx.fillStyle = shape.fill;
+                    ctx.textAlign = 'center';
+                    if (shape.spacing && 'letterSpacing' in ctx) {
+                        ctx.letterSpacing = `${shape.spacing}px`;
+                    }
+                    ctx.fillText(shape.text, shape.x, shape.y);
+                    break;
+            }
+
+            ctx.restore();
+        });
+
+        return canvas;
+    },
+
+    /**
+     * Turn an rgba() colour into SVG's separate colour and opacity
+     */
+    svgColor(color) {
+        const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color || '');
+        return match
+            ? { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: Number(match[4]) }
+            : { color, opacity: 1 };
+    },
+
+    /**
+     * Escape text for SVG markup
+     */
+    escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[c]);
+    },
+
+    /**
+     * Render a layout as SVG markup
+     */
+    renderToSvg(shapes, width, height) {
+        const defs = [];
+        const round = (n) => Math.round(n * 100) / 100;
+        const paint = (attr, value) => {
+            const { color, opacity } = this.svgColor(value);
+            return `${attr}="${color}"${opacity < 1 ? ` ${attr}-opacity="${opacity}"` : ''}`;
+        };
+
+        const body = shapes.map((shape, i) => {
+            const opacity = shape.opacity !== undefined ? ` opacity="${round(shape.opacity)}"` : '';
+
+            switch (shape.type) {
+                case 'radial': {
+                    const { color, opacity: stopOpacity } = this.svgColor(shape.color);
+                    defs.push(`<radialGradient id="g${i}" gradientUnits="userSpaceOnUse" cx="${round(shape.cx)}" cy="${round(shape.cy)}" r="${round(shape.r)}">`
+                        + `<stop offset="0" stop-color="${color}" stop-opacity="${stopOpacity}"/>`
+                        + `<stop offset="1" stop-color="${color}" stop-opacity="0"/></radialGradient>`);
+                    return `<rect width="${width}" height="${height}" fill="url(#g${i})"/>`;
+                }
+                case 'rect':
+                    return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}"`
+                        + `${shape.r ? ` rx="${round(shape.r)}"` : ''} ${paint('fill', shape.fill)}`
+                        + `${shape.stroke ? ` ${paint('stroke', shape.stroke)}` : ''}${opacity}/>`;
+                case 'circle':
+                    return `<circle cx="${round(shape.cx)}" cy="${round(shape.cy)}" r="${round(shape.r)}" ${paint('fill', shape.fill)}${opacity}/>`;
+                case 'polygon':
+                    return `<polygon points="${shape.points.map(p => p.map(round).join(',')).join(' ')}" ${paint('fill', shape.fill)}${opacity}/>`;
+                case 'text':
+                    return `<text x="${round(shape.x)}" y="${round(shape.y)}" text-anchor="middle" font-family="${this.escapeXml(shape.font)}"`
+                        + ` font-size="${round(shape.size)}" font-weight="${shape.weight}" ${paint('fill', shape.fill)}`
+                        + `${shape.spacing ? ` letter-spacing="${round(shape.spacing)}"` : ''}>${this.escapeXml(shape.text)}</text>`;
+                default:
+                    return '';
+            }
+        }).join('\n    ');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>${defs.join('')}</defs>
+    ${body}
+</svg>`;
+    },
+
+    /**
+     * Build the SVG card for a preset
+     */
+    toSvg(data, presetId = 'landscape') {
+        const { width, height } = this.presets[presetId] || this.presets.landscape;
+        return this.renderToSvg(this.buildLayout(data, width, height), width, height);
+    },
+
+    /**
+     * Render a card to a Blob ('png' or 'svg')
+     */
+    async toBlob(data, presetId = 'landscape', format = 'png') {
+        if (format === 'svg') {
+            return new Blob([this.toSvg(data, presetId)], { type: 'image/svg+xml' });
+        }
+
+        const { width, height } = this.presets[presetId] || this.presets.landscape;
+        await document.fonts?.ready;
+        const canvas = this.renderToCanvas(document.createElement('canvas'), this.buildLayout(data, width, height), width, height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render image'))), 'image/png');
+        });
+    },
+
+    /**
+     * File name such as boxing-day-2026-story.png
+     */
+    getFilename(data, presetId, format) {
+        const slug = data.eventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'countdown';
+        return `${slug}-${presetId}.${format}`;
+    },
+
+    /**
+     * Save a blob as a file download
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Share a blob as a file with the Web Share API; false when unsupported
+     */
+    async share(blob, filename, shareData = {}) {
+        const file = new File([blob], filename, { type: blob.type });
+        if (!navigator.canShare?.({ files: [file] })) return false;
+
+        try {
+            await navigator.share({ ...shareData, files: [file] });
+            return true;
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Image share failed:', e);
+            }
+            return e.name === 'AbortError';
+        }
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnapshotGenerator };
+}
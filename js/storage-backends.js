@@ -0,0 +1,207 @@
+/**
+ * Boxing Day Countdown - Storage Backends
+ * Async key-value stores behind StorageManager: IndexedDB (which the service
+ * worker can read too), localStorage, and memory when neither is available.
+ * Every backend has a name and async getAll(), get(key), set(key, value),
+ * setMany({ key: value }) and remove(key).
+ */
+
+class IndexedDBBackend {
+    constructor(dbName = StorageBackends.DB_NAME, storeName = StorageBackends.STORE_NAME) {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction; resolves with the last request's result
+     * once the transaction has committed
+     */
+    async transaction(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = run(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async getAll() {
+        const results = {};
+        await this.transaction('readonly', store => {
+            const keys = store.getAllKeys();
+            const values = store.getAll();
+            values.onsuccess = () => keys.result.forEach((key, i) => {
+                results[key] = values.result[i];
+            });
+        });
+        return results;
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    setMany(entries) {
+        return this.transaction('readwrite', store => {
+            Object.entries(entries).forEach(([key, value]) => store.put(value, key));
+        });
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+class LocalStorageBackend {
+    constructor(prefix = StorageBackends.PREFIX) {
+        this.name = 'localstorage';
+        this.prefix = prefix;
+    }
+
+    /**
+     * Parse a stored value; a few old keys hold bare strings rather than JSON
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    async getAll() {
+        return Object.fromEntries(Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => [key.slice(this.prefix.length), this.parse(localStorage.getItem(key))]));
+    }
+
+    async get(key) {
+        const text = localStorage.getItem(this.prefix + key);
+        return text === null ? undefined : this.parse(text);
+    }
+
+    async set(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async setMany(entries) {
+        Object.entries(entries).forEach(([key, value]) => {
+            localStorage.setItem(this.prefix + key, JSON.stringify(value));
+        });
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    /**
+     * Remove every key under the prefix
+     */
+    async clear() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
+
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    async getAll() {
+        return Object.fromEntries(this.data);
+    }
+
+    async get(key) {
+        return this.data.get(key);
+    }
+
+    async set(key, value) {
+        this.data.set(key, value);
+    }
+
+    async setMany(entries) {
+        Object.entries(entries).forEach(([key, value]) => this.data.set(key, value));
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+}
+
+const StorageBackends = {
+    DB_NAME: 'boxing-day-storage',
+    STORE_NAME: 'keyval',
+    // localStorage key prefix, as used before IndexedDB
+    PREFIX: 'boxingday_',
+    // How long to wait for IndexedDB to open before falling back
+    OPEN_TIMEOUT: 3000,
+
+    /**
+     * The first backend that works here: IndexedDB, then localStorage, then memory
+     */
+    async create() {
+        if (typeof indexedDB !== 'undefined') {
+            const backend = new IndexedDBBackend();
+            try {
+                await Promise.race([
+                    backend.open(),
+                    new Promise((resolve, reject) => setTimeout(() => reject(new Error('IndexedDB timed out')), this.OPEN_TIMEOUT))
+                ]);
+                return backend;
+            } catch (e) {
+                console.warn('IndexedDB unavailable:', e);
+            }
+        }
+
+        if (this.hasLocalStorage()) {
+            return new LocalStorageBackend();
+        }
+
+        console.warn('No persistent storage available; data will last until the page closes');
+        return new MemoryBackend();
+    },
+
+    /**
+     * Whether localStorage exists and accepts writes (it throws in some private modes)
+     */
+    hasLocalStorage() {
+        try {
+            const key = `${this.PREFIX}__test`;
+            localStorage.setItem(key, '1');
+            localStorage.removeItem(key);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBBackend, LocalStorageBackend, MemoryBackend, StorageBackends };
+}
@@ -1,53 +1,227 @@
 /**
  * Boxing Day Countdown - Storage & Sharing Utilities
+ * StorageManager reads from an in-memory cache and writes through to the
+ * backend StorageBackends picks (IndexedDB, localStorage or memory)
  */
 
 const StorageManager = {
     prefix: 'boxingday_',
 
-    set(key, value) {
-        try {
-            localStorage.setItem(this.prefix + key, JSON.stringify(value));
-            return true;
-        } catch (e) {
-            console.warn('Storage unavailable:', e);
-            return false;
+    // Key holding when every other key was last written or removed (for sync)
+    modifiedKey: 'modified',
+
+    // JSON text of every stored value, so reads stay synchronous; filled by init()
+    cache: {},
+    // Async store the cache writes through to (see StorageBackends)
+    backend: null,
+    ready: null,
+
+    /**
+     * Load stored data from the best available backend, moving old localStorage
+     * data into IndexedDB the first time. Await this before using the store;
+     * writes made earlier are kept and saved once loading finishes.
+     */
+    init() {
+        if (!this.ready) this.ready = this.load();
+        return this.ready;
+    },
+
+    async load() {
+        const backend = await StorageBackends.create();
+        let data = await backend.getAll().catch(e => {
+            console.warn('Could not read storage:', e);
+            return {};
+        });
+
+        if (backend.name === 'indexeddb' && StorageBackends.hasLocalStorage()) {
+            data = await this.migrateLocalStorage(backend, data);
         }
+
+        const early = this.cache;
+        this.cache = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]));
+        this.backend = backend;
+
+        Object.entries(early).forEach(([key, text]) => {
+            // Times recorded early add to the stored ones rather than replacing them
+            this.cache[key] = key === this.modifiedKey
+                ? JSON.stringify({ ...this.getModified(), ...JSON.parse(text) })
+                : text;
+            this.persist(key);
+        });
+        return backend;
     },
 
-    get(key, defaultValue = null) {
+    /**
+     * Copy boxingday_ keys from localStorage into IndexedDB (what IndexedDB
+     * already holds wins), then clear them from localStorage
+     */
+    async migrateLocalStorage(backend, data) {
+        const legacy = new LocalStorageBackend(this.prefix);
+        const old = await legacy.getAll();
+        if (!Object.keys(old).length) return data;
+
+        const missing = Object.fromEntries(Object.entries(old).filter(([key]) => !(key in data)));
         try {
-            const item = localStorage.getItem(this.prefix + key);
-            return item ? JSON.parse(item) : defaultValue;
+            await backend.setMany(missing);
+            await legacy.clear();
         } catch (e) {
-            return defaultValue;
+            console.warn('Could not move saved data to IndexedDB:', e);
         }
+        return { ...missing, ...data };
+    },
+
+    /**
+     * Write a cached key (or its removal) through to the backend
+     */
+    persist(key) {
+        // Before init() finishes, load() saves the key
+        if (!this.backend) return;
+
+        const write = key in this.cache
+            ? this.backend.set(key, JSON.parse(this.cache[key]))
+            : this.backend.remove(key);
+        write.catch(e => console.warn('Storage unavailable:', e));
+    },
+
+    set(key, value) {
+        if (value === undefined) return this.remove(key);
+
+        this.cache[key] = JSON.stringify(value);
+        this.persist(key);
+        this.setModified(key);
+        return true;
+    },
+
+    get(key, defaultValue = null) {
+        return key in this.cache ? JSON.parse(this.cache[key]) : defaultValue;
     },
 
     remove(key) {
-        try {
-            localStorage.removeItem(this.prefix + key);
-        } catch (e) { }
-    },
-
-    // User preferences
-    savePreferences(prefs) {
-        return this.set('preferences', {
-            theme: prefs.theme || 'snow',
-            timezone: prefs.timezone || null,
-            soundEnabled: prefs.soundEnabled ?? true,
-            notificationsEnabled: prefs.notificationsEnabled ?? false,
-            lastVisit: Date.now()
-        });
+        delete this.cache[key];
+        this.persist(key);
+        this.setModified(key);
+    },
+
+    /**
+     * Every stored key
+     */
+    keys() {
+        return Object.keys(this.cache);
+    },
+
+    /**
+     * Record when a key last changed (defaults to now)
+     */
+    setModified(key, time = Date.now()) {
+        if (key === this.modifiedKey) return;
+
+        const modified = this.getModified();
+        modified[key] = time;
+        this.cache[this.modifiedKey] = JSON.stringify(modified);
+        this.persist(this.modifiedKey);
+    },
+
+    /**
+     * When each key last changed, as { key: ms }
+     */
+    getModified() {
+        return this.get(this.modifiedKey, {});
+    },
+
+    // Version of the stored preferences; preferenceMigrations[n] upgrades version n - 1 to n
+    preferencesVersion: 2,
+
+    // Every preference and its default; keys not listed here are never stored
+    preferenceDefaults: {
+        theme: 'snow',
+        timezone: null,
+        soundEnabled: true,
+        volume: 0.5,
+        particleDensity: 'normal',
+        notificationsEnabled: false,
+        units: 'standard',
+        holidayRegion: null,
+        holidayTarget: 'calendar',
+        event: 'boxingday',
+        progressMetrics: [],
+        finalMinute: false
+    },
+
+    preferenceMigrations: {
+        // Theme, sound and volume used to live in keys of their own
+        2(prefs) {
+            const migrated = {
+                ...prefs,
+                // ThemeManager stored the bare theme id; LocalStorageBackend reads it as a string
+                theme: this.get('theme') || prefs.theme,
+                soundEnabled: this.get('sound_enabled', prefs.soundEnabled),
+                volume: this.get('sound_volume', prefs.volume)
+            };
+            ['theme', 'sound_enabled', 'sound_volume'].forEach(key => this.remove(key));
+            return migrated;
+        }
+    },
+
+    // User preferences (partial updates are merged with what is stored).
+    // Changed values are announced with a preferencesChange event.
+    savePreferences(updates) {
+        const previous = this.getPreferences();
+        const prefs = this.normalizePreferences({ ...previous, ...updates });
+        const saved = this.set('preferences', { ...prefs, version: this.preferencesVersion, lastVisit: Date.now() });
+
+        const changes = Object.fromEntries(Object.keys(prefs)
+            .filter(key => JSON.stringify(prefs[key]) !== JSON.stringify(previous[key]))
+            .map(key => [key, prefs[key]]));
+        if (Object.keys(changes).length) {
+            window.dispatchEvent(new CustomEvent('preferencesChange', {
+                detail: { changes, preferences: prefs }
+            }));
+        }
+        return saved;
     },
 
     getPreferences() {
-        return this.get('preferences', {
-            theme: 'snow',
-            timezone: null,
-            soundEnabled: true,
-            notificationsEnabled: false
-        });
+        const stored = this.get('preferences', {});
+        if ((stored.version || 1) < this.preferencesVersion) {
+            return this.migratePreferences(stored);
+        }
+        return this.normalizePreferences(stored);
+    },
+
+    /**
+     * Run the migrations a stored preferences object is missing and save the result
+     */
+    migratePreferences(stored) {
+        let prefs = stored;
+        for (let version = (stored.version || 1) + 1; version <= this.preferencesVersion; version++) {
+            prefs = this.preferenceMigrations[version].call(this, prefs);
+        }
+
+        prefs = this.normalizePreferences(prefs);
+        this.set('preferences', { ...prefs, version: this.preferencesVersion, lastVisit: stored.lastVisit ?? Date.now() });
+        // Upgrading is not a change of mind; synced preferences from another device should still win
+        this.setModified('preferences', stored.lastVisit || 0);
+        return prefs;
+    },
+
+    /**
+     * Known preferences only, with defaults for anything missing
+     */
+    normalizePreferences(prefs) {
+        return Object.fromEntries(Object.entries(this.preferenceDefaults).map(([key, fallback]) => [
+            key,
+            prefs[key] ?? (Array.isArray(fallback) ? [...fallback] : fallback)
+        ]));
+    },
+
+    /**
+     * Call a listener with ({ changes, preferences }) whenever preferences change.
+     * Returns an unsubscribe function.
+     */
+    onPreferencesChange(listener) {
+        const handler = (e) => listener(e.detail);
+        window.addEventListener('preferencesChange', handler);
+        return () => window.removeEventListener('preferencesChange', handler);
     },
 
     // Custom countdowns
@@ -67,47 +241,402 @@ const StorageManager = {
         return this.get('custom_countdowns', {});
     },
 
+    getCustomCountdown(id) {
+        return this.getCustomCountdowns()[id] || null;
+    },
+
     deleteCustomCountdown(id) {
         const countdowns = this.getCustomCountdowns();
         delete countdowns[id];
         this.set('custom_countdowns', countdowns);
+        this.deleteMilestones(id);
+        this.saveProgressAnchor(id, null);
+
+        if (this.getActiveCountdown() === id) {
+            this.setActiveCountdown(null);
+        }
+    },
+
+    // Active countdown (null means the Boxing Day countdown)
+    setActiveCountdown(id) {
+        if (id) {
+            this.set('active_countdown', id);
+        } else {
+            this.remove('active_countdown');
+        }
+    },
+
+    getActiveCountdown() {
+        return this.get('active_countdown', null);
+    },
+
+    // Milestone reminders, per countdown ('boxingday' or a custom countdown id)
+    saveMilestones(countdownId, milestones) {
+        const all = this.get('milestones', {});
+        all[countdownId] = milestones;
+        return this.set('milestones', all);
+    },
+
+    getMilestones(countdownId) {
+        return this.get('milestones', {})[countdownId] || null;
+    },
+
+    deleteMilestones(countdownId) {
+        const all = this.get('milestones', {});
+        const fired = this.get('milestones_fired', {});
+        delete all[countdownId];
+        delete fired[countdownId];
+        this.set('milestones', all);
+        this.set('milestones_fired', fired);
+    },
+
+    markMilestoneFired(countdownId, key) {
+        const fired = this.get('milestones_fired', {});
+        // Keep the list short - old targets never come back
+        fired[countdownId] = [...(fired[countdownId] || []), key].slice(-50);
+        this.set('milestones_fired', fired);
+    },
+
+    hasMilestoneFired(countdownId, key) {
+        return (this.get('milestones_fired', {})[countdownId] || []).includes(key);
+    },
+
+    // Progress bar anchor, per countdown (null goes back to the default)
+    saveProgressAnchor(countdownId, anchor) {
+        const all = this.get('progress_anchors', {});
+        if (anchor) {
+            all[countdownId] = anchor;
+        } else {
+            delete all[countdownId];
+        }
+        return this.set('progress_anchors', all);
+    },
+
+    getProgressAnchor(countdownId) {
+        return this.get('progress_anchors', {})[countdownId] || null;
+    },
+
+    // Custom themes: definitions (see ThemeManager.validateTheme) by theme id
+    saveCustomTheme(id, definition) {
+        const themes = this.getCustomThemes();
+        themes[id] = definition;
+        return this.set('custom_themes', themes);
+    },
+
+    getCustomThemes() {
+        return this.get('custom_themes', {});
+    },
+
+    deleteCustomTheme(id) {
+        const themes = this.getCustomThemes();
+        delete themes[id];
+        return this.set('custom_themes', themes);
     }
 };
 
 const ShareManager = {
+    // Version written into share links; older versions stay readable
+    shareVersion: 1,
+
+    // Limits a shared countdown must fall within
+    shareLimits: {
+        minYear: 2000,
+        maxYear: 2100,
+        nameLength: 80,
+        milestones: 20,
+        maxMilestone: 366 * 24 * 60 * 60
+    },
+
     /**
-     * Generate shareable URL for current countdown
+     * Generate shareable URL for a countdown. The full config travels as a
+     * versioned base64url JSON fragment (#s=1.<data>.<checksum>) so it never
+     * reaches the server. The checksum only guards against links damaged in
+     * copy/paste; it is not a signature, and anyone can make a valid link.
      */
     generateShareUrl(options = {}) {
         const url = new URL(window.location.origin + window.location.pathname);
+        url.hash = `s=${this.encodeShareState(options)}`;
+        return url.toString();
+    },
 
-        if (options.year) {
-            url.searchParams.set('year', options.year);
+    /**
+     * Pack a countdown config ({ year, event | customDate, customName, theme,
+     * customTheme, timezone, units, milestones }) into a share token
+     */
+    encodeShareState(options = {}) {
+        const state = { v: this.shareVersion };
+
+        if (options.customDate) {
+            state.d = new Date(options.customDate).toISOString();
+            if (options.customName) state.n = options.customName;
+        } else if (options.year) {
+            state.y = options.year;
+            if (options.event && options.event !== 'boxingday') state.e = options.event;
         }
-        if (options.theme) {
-            url.searchParams.set('theme', options.theme);
+        if (options.theme) state.t = options.theme;
+        // A custom theme travels with its definition so it works on other devices
+        if (options.theme && options.customTheme) state.c = options.customTheme;
+        if (options.timezone) state.z = options.timezone;
+        if (options.units) state.u = options.units;
+        if (options.milestones?.length) {
+            // Whole seconds keep the token short
+            state.m = options.milestones.map(offset => Math.round(offset / 1000));
+        }
+
+        const data = this.toBase64Url(JSON.stringify(state));
+        return `${this.shareVersion}.${data}.${this.checksum(data)}`;
+    },
+
+    /**
+     * Unpack and validate a share token; throws an Error with a readable
+     * message when the link is damaged or holds values we cannot use
+     */
+    decodeShareState(token) {
+        const [version, data, checksum] = String(token).split('.');
+
+        if (!data || !checksum) throw new Error('the link is incomplete');
+        if (Number(version) > this.shareVersion) throw new Error('it was made by a newer version of the site');
+        if (Number(version) !== 1) throw new Error('the link format is not recognised');
+        if (this.checksum(data) !== checksum) throw new Error('the link is damaged or cut short');
+
+        let state;
+        try {
+            state = JSON.parse(this.fromBase64Url(data));
+        } catch (e) {
+            throw new Error('the link data could not be read');
+        }
+        if (!state || typeof state !== 'object') throw new Error('the link data could not be read');
+
+        return this.validateShareState({
+            year: state.y,
+            event: state.e,
+            customDate: state.d,
+            customName: state.n,
+            theme: state.t,
+            customTheme: state.c,
+            timezone: state.z,
+            units: state.u,
+            milestones: state.m?.map?.(seconds => seconds * 1000) ?? state.m
+        });
+    },
+
+    /**
+     * Check each shared value and normalise it; throws on the first bad one
+     */
+    validateShareState(state) {
+        const limits = this.shareLimits;
+        const result = {};
+
+        if (state.year !== undefined && state.year !== null) {
+            const year = Number(state.year);
+            if (!Number.isInteger(year) || year < limits.minYear || year > limits.maxYear) {
+                throw new Error(`the year must be between ${limits.minYear} and ${limits.maxYear}`);
+            }
+            result.year = year;
+        }
+
+        if (state.event !== undefined && state.event !== null) {
+            if (!EventPresets.events[state.event]) throw new Error('the event is not recognised');
+            result.event = state.event;
+        }
+
+        if (state.customDate) {
+            const date = new Date(state.customDate);
+            const year = date.getUTCFullYear();
+            if (isNaN(date.getTime()) || year < limits.minYear || year > limits.maxYear) {
+                throw new Error('the event date is not valid');
+            }
+            result.customDate = state.customDate;
+        }
+
+        if (state.customName !== undefined && state.customName !== null) {
+            const name = String(state.customName).trim();
+            if (!name || name.length > limits.nameLength) {
+                throw new Error(`the event name must be 1-${limits.nameLength} characters`);
+            }
+            result.customName = name;
+        }
+
+        if (state.theme !== undefined && state.theme !== null) {
+            if (typeof state.theme !== 'string' || !/^[a-z0-9-]{1,32}$/i.test(state.theme)) {
+                throw new Error('the theme is not valid');
+            }
+            result.theme = state.theme;
+        }
+
+        if (state.customTheme !== undefined && state.customTheme !== null) {
+            try {
+                result.customTheme = ThemeManager.validateTheme(state.customTheme);
+            } catch (e) {
+                throw new Error(`the custom theme is not valid: ${e.message}`);
+            }
+        }
+
+        if (state.timezone !== undefined && state.timezone !== null) {
+            if (!TimezoneUtils.isValidTimezone(state.timezone)) {
+                throw new Error('the timezone is not recognised');
+            }
+            result.timezone = state.timezone;
         }
+
+        if (state.units !== undefined && state.units !== null) {
+            const valid = CountdownEngine.UNIT_SETS[state.units] ||
+                (Array.isArray(state.units) && state.units.length &&
+                    new Set(state.units).size === state.units.length &&
+                    state.units.every(unit => CountdownEngine.UNITS.includes(unit)));
+            if (!valid) throw new Error('the countdown units are not valid');
+            result.units = state.units;
+        }
+
+        if (state.milestones !== undefined && state.milestones !== null) {
+            const valid = Array.isArray(state.milestones) &&
+                state.milestones.length <= limits.milestones &&
+                state.milestones.every(offset => Number.isInteger(offset) && offset > 0 && offset <= limits.maxMilestone * 1000);
+            if (!valid) throw new Error('the reminders are not valid');
+            result.milestones = [...new Set(state.milestones)];
+        }
+
+        return result;
+    },
+
+    /**
+     * Short integrity checksum (unkeyed FNV-1a) that catches truncated or
+     * mistyped links; it does not stop anyone building a link of their own
+     */
+    checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * UTF-8 safe base64url encoding
+     */
+    toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    fromBase64Url(data) {
+        const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    },
+
+    /**
+     * Generate the embed.html widget URL for a set of widget options
+     */
+    generateEmbedUrl(options = {}) {
+        const url = new URL('embed.html', window.location.origin + window.location.pathname);
+
         if (options.customDate) {
             url.searchParams.set('date', options.customDate);
+        } else if (options.year) {
+            url.searchParams.set('year', options.year);
+        }
+        if (options.theme && options.theme !== 'dark') {
+            url.searchParams.set('theme', options.theme);
         }
-        if (options.customName) {
-            url.searchParams.set('name', encodeURIComponent(options.customName));
+        if (options.title) {
+            url.searchParams.set('title', options.title);
+        }
+        if (options.units && options.units !== 'daysOnly') {
+            url.searchParams.set('units', options.units);
+        }
+        if (options.timezone) {
+            url.searchParams.set('tz', options.timezone);
+        }
+        ['compact', 'hideLink', 'transparent', 'particles', 'progress'].forEach(flag => {
+            if (options[flag]) url.searchParams.set(flag, 'true');
+        });
+        if (options.progress && options.anchor) {
+            url.searchParams.set('anchor', options.anchor);
+        }
+        if (options.progress && options.metrics?.length) {
+            url.searchParams.set('metrics', options.metrics.join(','));
         }
 
         return url.toString();
     },
 
     /**
-     * Parse URL parameters for countdown configuration
+     * Generate a copyable <iframe> snippet plus a script that resizes it from
+     * the widget's boxingday-widget-height messages
+     */
+    generateEmbedCode(options = {}) {
+        const src = this.generateEmbedUrl(options);
+        const origin = new URL(src).origin;
+        const height = options.compact ? 150 : 200;
+
+        return `<iframe src="${src.replace(/&/g, '&amp;')}" data-boxingday-widget title="Boxing Day Countdown"
+    width="100%" height="${height}" style="border:0;max-width:500px" loading="lazy"></iframe>
+<script>
+window.addEventListener('message', function (e) {
+    if (e.origin !== '${origin}' || !e.data || e.data.type !== 'boxingday-widget-height') return;
+    document.querySelectorAll('iframe[data-boxingday-widget]').forEach(function (frame) {
+        if (frame.contentWindow === e.source) frame.style.height = e.data.height + 'px';
+    });
+});
+<\/script>`;
+    },
+
+    /**
+     * Parse URL parameters for countdown configuration. A #s= share token
+     * wins over the old ?year=&theme=&date=&name= params, which still work.
+     * Anything invalid is dropped and described in `error`.
      */
     parseUrlParams() {
         const params = new URLSearchParams(window.location.search);
-        return {
-            year: params.get('year') ? parseInt(params.get('year')) : null,
-            theme: params.get('theme'),
-            customDate: params.get('date'),
-            customName: params.get('name') ? decodeURIComponent(params.get('name')) : null
+        const hash = new URLSearchParams(window.location.hash.slice(1));
+        const result = {
+            year: null,
+            event: null,
+            theme: null,
+            customTheme: null,
+            customDate: null,
+            customName: null,
+            timezone: null,
+            units: null,
+            milestones: null,
+            error: null,
+            view: params.get('view'),
+            now: params.get('now'),
+            speed: params.get('speed') ? parseFloat(params.get('speed')) : null,
+            debug: params.has('debug')
         };
+
+        try {
+            if (hash.has('s')) {
+                return { ...result, ...this.decodeShareState(hash.get('s')) };
+            }
+
+            return {
+                ...result,
+                ...this.validateShareState({
+                    year: params.get('year'),
+                    theme: params.get('theme'),
+                    customDate: params.get('date'),
+                    customName: this.decodeLegacyName(params.get('name'))
+                })
+            };
+        } catch (e) {
+            return { ...result, error: e.message };
+        }
+    },
+
+    /**
+     * Older links encoded the name twice; undo the extra layer when present
+     */
+    decodeLegacyName(name) {
+        if (!name) return null;
+        try {
+            return decodeURIComponent(name);
+        } catch (e) {
+            return name;
+        }
     },
 
     /**
@@ -158,11 +687,12 @@ const ShareManager = {
     },
 
     /**
-     * Generate social share URLs
+     * Generate social, email and SMS share URLs
      */
     getSocialShareUrls(options = {}) {
         const url = encodeURIComponent(options.url || window.location.href);
-        const text = encodeURIComponent(options.text || 'Countdown to Boxing Day 2026!');
+        const text = encodeURIComponent(options.text || 'Countdown to Boxing Day!');
+        const subject = encodeURIComponent(options.title || 'Boxing Day Countdown');
 
         return {
             twitter: `https://twitter.com/intent/tweet?text=${text}&url=${url}`,
@@ -170,7 +700,10 @@ const ShareManager = {
             linkedin: `https://www.linkedin.com/sharing/share-offsite/?url=${url}`,
             pinterest: `https://pinterest.com/pin/create/button/?url=${url}&description=${text}`,
             whatsapp: `https://wa.me/?text=${text}%20${url}`,
-            telegram: `https://t.me/share/url?url=${url}&text=${text}`
+            telegram: `https://t.me/share/url?url=${url}&text=${text}`,
+            email: `mailto:?subject=${subject}&body=${text}%0A%0A${url}`,
+            // "?&body=" is understood by both iOS and Android messaging apps
+            sms: `sms:?&body=${text}%20${url}`
         };
     }
 };
@@ -320,9 +853,9 @@ const NotificationManager = {
     },
 
     /**
-     * Play a tick sound for countdown
+     * Play a tick sound for countdown, optionally at another pitch (Hz)
      */
-    playTick() {
+    playTick(frequency = 1000) {
         if (!this.soundEnabled) return;
         if (!this.audioContext) this.initAudio();
         if (!this.audioContext) return;
@@ -339,7 +872,7 @@ const NotificationManager = {
         gain.connect(this.audioContext.destination);
 
         osc.type = 'sine';
-        osc.frequency.setValueAtTime(1000, now);
+        osc.frequency.setValueAtTime(frequency, now);
 
         gain.gain.setValueAtTime(this.volume * 0.15, now);
         gain.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
@@ -423,7 +956,7 @@ const NotificationManager = {
      */
     toggleSound() {
         this.soundEnabled = !this.soundEnabled;
-        StorageManager.set('sound_enabled', this.soundEnabled);
+        StorageManager.savePreferences({ soundEnabled: this.soundEnabled });
 
         // Play a quick feedback sound when enabling
         if (this.soundEnabled) {
@@ -438,15 +971,16 @@ const NotificationManager = {
      */
     setVolume(level) {
         this.volume = Math.max(0, Math.min(1, level));
-        StorageManager.set('sound_volume', this.volume);
+        StorageManager.savePreferences({ volume: this.volume });
     },
 
     /**
-     * Load sound preference from storage
+     * Load sound preferences from storage
      */
     loadPreference() {
-        this.soundEnabled = StorageManager.get('sound_enabled', true);
-        this.volume = StorageManager.get('sound_volume', 0.5);
+        const prefs = StorageManager.getPreferences();
+        this.soundEnabled = prefs.soundEnabled;
+        this.volume = prefs.volume;
         return this.soundEnabled;
     }
 };
@@ -0,0 +1,378 @@
+/**
+ * Boxing Day Countdown - Backup, Restore & Sync
+ * Exports everything stored under StorageManager's prefix as a versioned JSON
+ * backup, merges backups back in and keeps devices in step through a sync adapter
+ */
+
+const BackupManager = {
+    FILE_TYPE: 'boxingday-backup',
+    VERSION: 1,
+
+    // Keys that belong to this device rather than its user; never exported or restored
+    deviceKeys: ['modified', 'sync', 'push_subscription', 'milestones_fired', 'developer'],
+
+    // Keys holding { id: entry } maps, which the merge strategy combines entry by entry
+    collectionKeys: ['custom_countdowns', 'custom_themes', 'milestones', 'progress_anchors'],
+
+    // How a conflict between this device and a backup is settled:
+    //   merge   - add what is missing here; this device's version wins
+    //   newest  - whichever side changed the key last wins, removals included
+    //   replace - this device ends up exactly like the backup
+    STRATEGIES: ['merge', 'newest', 'replace'],
+
+    // Ids the page generates; restored entries with other ids are dropped
+    idPatterns: {
+        countdown: /^custom_\d+(_\d+)?$/,
+        // Built-in theme ids and ThemeManager.createThemeId(), as share links allow
+        theme: /^[a-z0-9-]{1,32}$/i,
+        // Whose reminders or anchor: an event id, 'shared' or a custom countdown id
+        owner: /^[a-z0-9_]{1,40}$/i,
+        milestone: /^[a-z0-9]{1,16}$/i
+    },
+
+    /**
+     * Everything this device stores, as a backup object
+     */
+    createBackup() {
+        const isShared = key => !this.deviceKeys.includes(key);
+        const data = {};
+        StorageManager.keys().filter(isShared).forEach(key => {
+            data[key] = StorageManager.get(key);
+        });
+
+        return {
+            type: this.FILE_TYPE,
+            version: this.VERSION,
+            exportedAt: Date.now(),
+            data,
+            // Removed keys stay listed here, so a removal can win under the newest strategy
+            modified: Object.fromEntries(Object.entries(StorageManager.getModified())
+                .filter(([key]) => isShared(key)))
+        };
+    },
+
+    serialize(backup) {
+        return JSON.stringify(backup, null, 2);
+    },
+
+    /**
+     * Read a backup from JSON text (or an already parsed object); throws an
+     * Error with a readable message when it isn't one
+     */
+    parseBackup(json) {
+        let backup;
+        try {
+            backup = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (e) {
+            throw new Error('the file is not valid JSON');
+        }
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (backup?.type !== this.FILE_TYPE) throw new Error('it is not a Boxing Day backup');
+        if (!Number.isInteger(backup.version) || backup.version > this.VERSION) {
+            throw new Error('it was made by a newer version of the site');
+        }
+        if (!isObject(backup.data)) throw new Error('it has no saved data');
+
+        return {
+            ...backup,
+            modified: isObject(backup.modified) ? backup.modified : {}
+        };
+    },
+
+    /**
+     * Write a backup into this device's storage. Returns the keys that changed.
+     */
+    restoreBackup(backup, strategy = 'merge') {
+        if (!this.STRATEGIES.includes(strategy)) throw new Error(`unknown merge strategy: ${strategy}`);
+
+        // Values that fail their key's checks are left alone here rather than written
+        const rejected = [];
+        const data = {};
+        Object.entries(backup.data).forEach(([key, value]) => {
+            const clean = this.sanitize(key, value);
+            if (clean === undefined) {
+                rejected.push(key);
+            } else {
+                data[key] = clean;
+            }
+        });
+        if (rejected.length) console.warn('Skipping backup values that are not valid:', rejected.join(', '));
+        backup = { ...backup, data };
+
+        const local = this.createBackup();
+        const keys = new Set([
+            ...Object.keys(local.data),
+            ...Object.keys(backup.data),
+            ...Object.keys(backup.modified)
+        ]);
+        const changed = [];
+
+        keys.forEach(key => {
+            if (this.deviceKeys.includes(key) || rejected.includes(key)) return;
+
+            const value = this.resolve(key, local, backup, strategy);
+            if (JSON.stringify(value) === JSON.stringify(local.data[key])) return;
+
+            if (value === undefined) {
+                StorageManager.remove(key);
+            } else {
+                StorageManager.set(key, value);
+            }
+            // The backup's version won, so keep its time; otherwise the next sync would see a newer local change
+            if (strategy === 'newest') {
+                StorageManager.setModified(key, backup.modified[key] || 0);
+            }
+            changed.push(key);
+        });
+
+        return changed;
+    },
+
+    /**
+     * A backup value in the shape the page itself writes for its key, or
+     * undefined when it is unusable. Collections keep only their valid entries.
+     */
+    sanitize(key, value) {
+        const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+        const ids = this.idPatterns;
+        const isDate = date => typeof date === 'string' && !isNaN(new Date(date).getTime());
+        const entries = (map, idPattern, clean) => Object.fromEntries(Object.entries(map)
+            .filter(([id]) => idPattern.test(id))
+            .map(([id, entry]) => [id, clean(entry, id)])
+            .filter(([, entry]) => entry !== undefined));
+
+        switch (key) {
+            case 'preferences': {
+                if (!isMap(value)) return undefined;
+                const defaults = StorageManager.preferenceDefaults;
+                return Object.fromEntries(Object.entries(value).filter(([name, pref]) => {
+                    if (name === 'version' || name === 'lastVisit') return Number.isFinite(pref);
+                    if (!(name in defaults)) return false;
+                    if (name === 'theme') return typeof pref === 'string' && ids.theme.test(pref);
+
+                    const fallback = defaults[name];
+                    if (fallback === null) return pref === null || typeof pref === 'string';
+                    if (Array.isArray(fallback)) return Array.isArray(pref) && pref.every(item => typeof item === 'string');
+                    return typeof pref === typeof fallback;
+                }));
+            }
+
+            case 'custom_countdowns':
+                return isMap(value) ? entries(value, ids.countdown, (countdown, id) => {
+                    if (!isMap(countdown) || typeof countdown.name !== 'string' || !isDate(countdown.date)) return undefined;
+                    return {
+                        id,
+                        name: countdown.name.slice(0, ShareManager.shareLimits.nameLength),
+                        date: countdown.date,
+                        createdAt: Number.isFinite(countdown.createdAt) ? countdown.createdAt : Date.now()
+                    };
+                }) : undefined;
+
+            case 'custom_themes':
+                return isMap(value) ? entries(value, ids.theme, definition => {
+                    try {
+                        return ThemeManager.validateTheme(definition);
+                    } catch (e) {
+                        return undefined;
+                    }
+                }) : undefined;
+
+            case 'milestones':
+                return isMap(value) ? entries(value, ids.owner, list => {
+                    if (!Array.isArray(list)) return undefined;
+                    return list
+                        .filter(m => isMap(m) && ids.milestone.test(m.id) && Number.isFinite(m.offset) && m.offset > 0)
+                        .map(m => ({
+                            id: m.id,
+                            offset: m.offset,
+                            label: MilestoneManager.formatOffset(m.offset),
+                            enabled: Boolean(m.enabled),
+                            chime: Boolean(m.chime),
+                            notification: Boolean(m.notification),
+                            toast: Boolean(m.toast)
+                        }));
+                }) : undefined;
+
+            case 'progress_anchors':
+                return isMap(value) ? entries(value, ids.owner, anchor => {
+                    if (!isMap(anchor) || !CountdownEngine.PROGRESS_ANCHORS.includes(anchor.type)) return undefined;
+                    if (anchor.date !== null && anchor.date !== undefined && !isDate(anchor.date)) return undefined;
+                    return { type: anchor.type, date: anchor.date ?? null };
+                }) : undefined;
+
+            case 'active_countdown':
+                return typeof value === 'string' && ids.countdown.test(value) ? value : undefined;
+
+            // Keys older versions stored before preferences held them
+            case 'theme':
+                return typeof value === 'string' && ids.theme.test(value) ? value : undefined;
+            case 'sound_enabled':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'sound_volume':
+                return Number.isFinite(value) && value >= 0 && value <= 1 ? value : undefined;
+
+            default:
+                return undefined;
+        }
+    },
+
+    /**
+     * The value a key ends up with under a strategy (undefined removes it)
+     */
+    resolve(key, local, backup, strategy) {
+        const mine = local.data[key];
+        const theirs = backup.data[key];
+
+        switch (strategy) {
+            case 'replace':
+                return theirs;
+
+            case 'newest': {
+                // A key this device never had (nor removed) loses to any version
+                const localTime = local.modified[key] ?? (mine === undefined ? -1 : 0);
+                return (backup.modified[key] || 0) > localTime ? theirs : mine;
+            }
+
+            default: {
+                if (mine === undefined) return theirs;
+                if (theirs === undefined) return mine;
+
+                const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+                if (this.collectionKeys.includes(key) && isMap(mine) && isMap(theirs)) {
+                    return { ...theirs, ...mine };
+                }
+                return mine;
+            }
+        }
+    },
+
+    /**
+     * File name for a backup download, e.g. boxingday-backup-2026-12-01.json
+     */
+    getFilename(backup) {
+        return `boxingday-backup-${new Date(backup.exportedAt).toISOString().slice(0, 10)}.json`;
+    },
+
+    /**
+     * Save a backup as a JSON download
+     */
+    download(backup, filename = this.getFilename(backup)) {
+        const url = URL.createObjectURL(new Blob([this.serialize(backup)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+/*
+ * Sync adapters keep one backup where every device can reach it. An adapter has:
+ *   async pull()       - the stored backup, or null when there is none yet
+ *   async push(backup) - store a backup in place of the previous one
+ */
+
+/**
+ * Sync through an HTTP endpoint that returns the backup on GET (404 when empty)
+ * and stores it on PUT; tools/sync-endpoint.js is a stand-in for self-hosting
+ */
+class HttpSyncAdapter {
+    constructor({ url, token = '' }) {
+        this.url = url;
+        this.token = token;
+    }
+
+    getHeaders() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    async pull() {
+        const response = await fetch(this.url, { headers: this.getHeaders(), cache: 'no-store' });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`the sync server returned ${response.status}`);
+        return BackupManager.parseBackup(await response.text());
+    }
+
+    async push(backup) {
+        const response = await fetch(this.url, {
+            method: 'PUT',
+            headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+            body: BackupManager.serialize(backup)
+        });
+        if (!response.ok) throw new Error(`the sync server returned ${response.status}`);
+    }
+}
+
+/**
+ * Sync by hand through a backup file kept somewhere both devices see:
+ * pull reads the chosen file and push downloads its replacement
+ */
+class FileSyncAdapter {
+    constructor({ file = null } = {}) {
+        this.file = file;
+    }
+
+    async pull() {
+        return this.file ? BackupManager.parseBackup(await this.file.text()) : null;
+    }
+
+    async push(backup) {
+        BackupManager.download(backup, this.file?.name);
+    }
+}
+
+const SyncManager = {
+    // Device-only settings: { url, token, lastSync }
+    storageKey: 'sync',
+
+    getSettings() {
+        return StorageManager.get(this.storageKey, null);
+    },
+
+    saveSettings(settings) {
+        return StorageManager.set(this.storageKey, { ...this.getSettings(), ...settings });
+    },
+
+    clearSettings() {
+        StorageManager.remove(this.storageKey);
+    },
+
+    /**
+     * The adapter for the configured sync server, if there is one
+     */
+    getAdapter() {
+        const settings = this.getSettings();
+        return settings?.url ? new HttpSyncAdapter(settings) : null;
+    },
+
+    /**
+     * Pull the adapter's backup, merge it in (the newest change wins), then
+     * push the merged result back. Returns the keys that changed here.
+     */
+    async sync(adapter) {
+        const remote = await adapter.pull();
+        const changed = remote ? BackupManager.restoreBackup(remote, 'newest') : [];
+        await adapter.push(BackupManager.createBackup());
+        return changed;
+    },
+
+    /**
+     * Sync with the configured server and remember when it last worked
+     */
+    async syncNow() {
+        const adapter = this.getAdapter();
+        if (!adapter) throw new Error('no sync server is set up');
+
+        const changed = await this.sync(adapter);
+        this.saveSettings({ lastSync: Date.now() });
+        return changed;
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackupManager, HttpSyncAdapter, FileSyncAdapter, SyncManager };
+}
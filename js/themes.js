@@ -1,5 +1,7 @@
 /**
  * Boxing Day Countdown - Theme & Particle System
+ * Built-in themes plus user-made ones, which are validated definitions of
+ * colours, fonts and particles applied as CSS custom properties
  */
 
 class ThemeManager {
@@ -9,6 +11,7 @@ class ThemeManager {
             snow: {
                 name: 'Winter Snow',
                 color: '#4a90d9',
+                accent: '#ffcf7d',
                 particleType: 'snow',
                 gradient1: 'rgba(30, 58, 138, 0.4)',
                 gradient2: 'rgba(136, 19, 55, 0.2)'
@@ -16,6 +19,7 @@ class ThemeManager {
             ribbons: {
                 name: 'Festive Ribbons',
                 color: '#dc2626',
+                accent: '#fecaca',
                 particleType: 'ribbons',
                 gradient1: 'rgba(185, 28, 28, 0.4)',
                 gradient2: 'rgba(239, 68, 68, 0.2)'
@@ -23,6 +27,7 @@ class ThemeManager {
             lights: {
                 name: 'Holiday Lights',
                 color: '#10b981',
+                accent: '#a5f3fc',
                 particleType: 'lights',
                 gradient1: 'rgba(16, 185, 129, 0.3)',
                 gradient2: 'rgba(139, 92, 246, 0.3)'
@@ -30,6 +35,7 @@ class ThemeManager {
             minimal: {
                 name: 'Minimal Dark',
                 color: '#6b7280',
+                accent: '#e5e5e5',
                 particleType: 'none',
                 gradient1: 'rgba(30, 30, 30, 0.5)',
                 gradient2: 'rgba(50, 50, 50, 0.3)'
@@ -37,6 +43,7 @@ class ThemeManager {
             gold: {
                 name: 'Golden Luxury',
                 color: '#fbbf24',
+                accent: '#fcd34d',
                 particleType: 'sparkle',
                 gradient1: 'rgba(180, 130, 50, 0.3)',
                 gradient2: 'rgba(120, 80, 20, 0.2)'
@@ -44,16 +51,16 @@ class ThemeManager {
         };
     }
 
+    /**
+     * Apply a theme. Saving the choice is left to the caller (the page keeps it
+     * in StorageManager's preferences; embeds never save it).
+     */
     setTheme(themeName) {
         if (!this.themes[themeName]) return;
 
         this.currentTheme = themeName;
         document.documentElement.setAttribute('data-theme', themeName);
-
-        // Save preference
-        try {
-            localStorage.setItem('boxingday_theme', themeName);
-        } catch (e) { }
+        this.applyStyles(this.themes[themeName]);
 
         // Dispatch event for particle system
         window.dispatchEvent(new CustomEvent('themeChange', {
@@ -63,17 +70,6 @@ class ThemeManager {
         return this;
     }
 
-    loadSavedTheme() {
-        try {
-            const saved = localStorage.getItem('boxingday_theme');
-            if (saved && this.themes[saved]) {
-                this.setTheme(saved);
-                return saved;
-            }
-        } catch (e) { }
-        return 'snow';
-    }
-
     getThemeList() {
         return Object.entries(this.themes).map(([id, theme]) => ({
             id,
@@ -87,8 +83,206 @@ class ThemeManager {
             ...this.themes[this.currentTheme]
         };
     }
+
+    /**
+     * Set a custom theme's colours and fonts on the page; built-in themes
+     * clear them so their [data-theme] rules apply
+     */
+    applyStyles(theme) {
+        const style = document.documentElement.style;
+
+        Object.entries(ThemeManager.CSS_PROPERTIES).forEach(([key, property]) => {
+            if (theme.custom) {
+                style.setProperty(property, theme[key]);
+            } else {
+                style.removeProperty(property);
+            }
+        });
+    }
+
+    /**
+     * Add or replace a custom theme from its definition (see validateTheme)
+     */
+    addCustomTheme(id, definition) {
+        if (this.themes[id] && !this.themes[id].custom) throw new Error('a built-in theme already uses that id');
+        const theme = ThemeManager.validateTheme(definition);
+
+        this.themes[id] = ThemeManager.buildTheme(theme);
+        if (this.currentTheme === id) this.setTheme(id);
+        return this.themes[id];
+    }
+
+    /**
+     * Register saved custom themes, e.g. from StorageManager.getCustomThemes().
+     * Damaged entries are skipped.
+     */
+    loadCustomThemes(definitions = {}) {
+        Object.entries(definitions).forEach(([id, definition]) => {
+            try {
+                this.addCustomTheme(id, definition);
+            } catch (e) {
+                console.warn(`Skipping custom theme ${id}:`, e.message);
+            }
+        });
+    }
+
+    /**
+     * Drop a custom theme, falling back to the default if it was active
+     */
+    removeCustomTheme(id) {
+        if (!this.themes[id]?.custom) return;
+
+        delete this.themes[id];
+        if (this.currentTheme === id) this.setTheme('snow');
+    }
+
+    /**
+     * A theme definition as an export file: { type, version, theme }
+     */
+    static serializeTheme(definition) {
+        return JSON.stringify({
+            type: ThemeManager.FILE_TYPE,
+            version: 1,
+            theme: ThemeManager.validateTheme(definition)
+        }, null, 2);
+    }
+
+    /**
+     * Read a theme export file (or a bare definition) into a validated definition
+     */
+    static parseThemeFile(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error('the file is not valid JSON');
+        }
+
+        if (data?.type === ThemeManager.FILE_TYPE) {
+            if (data.version !== 1) throw new Error('it was made by a newer version of the site');
+            return ThemeManager.validateTheme(data.theme);
+        }
+        return ThemeManager.validateTheme(data);
+    }
+
+    /**
+     * Check a custom theme definition and normalise it; throws an Error with
+     * a readable message on the first bad value
+     */
+    static validateTheme(definition) {
+        if (!definition || typeof definition !== 'object') throw new Error('the theme data is missing');
+
+        const name = String(definition.name ?? '').trim();
+        if (!name || name.length > 40) throw new Error('the theme name must be 1-40 characters');
+
+        const theme = { name };
+        ['accent', 'gradient1', 'gradient2', 'textPrimary', 'textSecondary'].forEach(key => {
+            const value = definition[key] ?? ThemeManager.DEFAULT_CUSTOM_THEME[key];
+            if (!/^#[0-9a-f]{6}$/i.test(value)) throw new Error(`${key} must be a colour like #ffcf7d`);
+            theme[key] = value.toLowerCase();
+        });
+
+        theme.particleType = definition.particleType ?? ThemeManager.DEFAULT_CUSTOM_THEME.particleType;
+        if (!ThemeManager.PARTICLE_TYPES.includes(theme.particleType)) {
+            throw new Error('the particle type is not recognised');
+        }
+
+        ['fontDisplay', 'fontBody'].forEach(key => {
+            theme[key] = definition[key] ?? ThemeManager.DEFAULT_CUSTOM_THEME[key];
+            if (!ThemeManager.FONTS[theme[key]]) throw new Error(`the font "${theme[key]}" is not available`);
+        });
+
+        return theme;
+    }
+
+    /**
+     * Turn a validated definition into a theme entry shaped like the built-ins
+     */
+    static buildTheme(definition) {
+        return {
+            name: definition.name,
+            color: definition.accent,
+            accent: definition.accent,
+            particleType: definition.particleType,
+            gradient1: ThemeManager.toRgba(definition.gradient1, 0.4),
+            gradient2: ThemeManager.toRgba(definition.gradient2, 0.2),
+            textPrimary: definition.textPrimary,
+            textSecondary: definition.textSecondary,
+            fontDisplay: ThemeManager.FONTS[definition.fontDisplay].stack,
+            fontBody: ThemeManager.FONTS[definition.fontBody].stack,
+            custom: true,
+            definition
+        };
+    }
+
+    /**
+     * '#rrggbb' to 'rgba(r, g, b, alpha)'
+     */
+    static toRgba(hex, alpha) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    /**
+     * Save a theme export file as a download
+     */
+    static download(json, filename) {
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * New id for a custom theme (share links allow letters, digits and dashes)
+     */
+    static createThemeId() {
+        return `custom-${Date.now().toString(36)}`;
+    }
 }
 
+// Custom theme fields and the CSS custom properties they set
+ThemeManager.CSS_PROPERTIES = {
+    accent: '--accent',
+    gradient1: '--theme-gradient-1',
+    gradient2: '--theme-gradient-2',
+    textPrimary: '--text-primary',
+    textSecondary: '--text-secondary',
+    fontDisplay: '--font-display',
+    fontBody: '--font-body'
+};
+
+// Fonts custom themes can pick from, by id
+ThemeManager.FONTS = {
+    playfair: { name: 'Playfair Display', stack: "'Playfair Display', serif" },
+    inter: { name: 'Inter', stack: "'Inter', sans-serif" },
+    georgia: { name: 'Georgia', stack: 'Georgia, serif' },
+    system: { name: 'System UI', stack: 'system-ui, sans-serif' },
+    mono: { name: 'Monospace', stack: "'Courier New', monospace" }
+};
+
+ThemeManager.PARTICLE_TYPES = ['snow', 'ribbons', 'lights', 'sparkle', 'confetti', 'none'];
+
+// Starting point for the theme editor, matching Winter Snow
+ThemeManager.DEFAULT_CUSTOM_THEME = {
+    name: 'My Theme',
+    accent: '#ffcf7d',
+    gradient1: '#1e3a8a',
+    gradient2: '#881337',
+    textPrimary: '#ffffff',
+    textSecondary: '#94a3b8',
+    particleType: 'snow',
+    fontDisplay: 'playfair',
+    fontBody: 'inter'
+};
+
+// Marks a theme export file
+ThemeManager.FILE_TYPE = 'boxingday-theme';
+
 class ParticleSystem {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -97,14 +291,22 @@ class ParticleSystem {
         this.ctx = this.canvas.getContext('2d');
         this.particles = [];
         this.particleType = 'snow';
+        // Multiplier for particle counts, from ParticleSystem.DENSITIES
+        this.density = ParticleSystem.DENSITIES.normal;
         this.isRunning = false;
         this.rafId = null;
+        // Type and running state to restore when a celebration ends
+        this.celebration = null;
 
         this.resize();
         window.addEventListener('resize', () => this.resize());
 
         // Listen for theme changes
         window.addEventListener('themeChange', (e) => {
+            if (this.celebration) {
+                this.celebration.previousType = e.detail.particleType;
+                return;
+            }
             this.setParticleType(e.detail.particleType);
         });
     }
@@ -121,10 +323,18 @@ class ParticleSystem {
         this.initParticles();
     }
 
+    /**
+     * Scale the number of particles: 'off', 'low', 'normal' or 'high'
+     */
+    setDensity(level) {
+        this.density = ParticleSystem.DENSITIES[level] ?? ParticleSystem.DENSITIES.normal;
+        this.initParticles();
+    }
+
     initParticles() {
         this.particles = [];
 
-        if (this.particleType === 'none') return;
+        if (this.particleType === 'none' || !this.density) return;
 
         // Fewer particles on mobile for performance
         const isMobile = window.innerWidth < 768;
@@ -143,10 +353,18 @@ class ParticleSystem {
             case 'sparkle':
                 count = isMobile ? 40 : 80;
                 break;
+            case 'confetti':
+                count = isMobile ? 80 : 160;
+                break;
+            case 'fireworks':
+                // Sparks are added a burst at a time while animating
+                count = 0;
+                break;
             default:
                 count = isMobile ? 50 : 100;
         }
 
+        count = Math.round(count * this.density);
         for (let i = 0; i < count; i++) {
             this.particles.push(this.createParticle());
         }
@@ -203,11 +421,50 @@ class ParticleSystem {
                     color: '#fcd34d'
                 };
 
+            case 'confetti':
+                return {
+                    ...base,
+                    y: Math.random() * this.canvas.height - this.canvas.height,
+                    width: Math.random() * 6 + 4,
+                    height: Math.random() * 4 + 2,
+                    speed: Math.random() * 2 + 1.5,
+                    sway: Math.random() * Math.PI * 2,
+                    rotation: Math.random() * 360,
+                    rotationSpeed: Math.random() * 10 - 5,
+                    color: ParticleSystem.CELEBRATION_COLORS[Math.floor(Math.random() * ParticleSystem.CELEBRATION_COLORS.length)],
+                    opacity: 1
+                };
+
             default:
                 return base;
         }
     }
 
+    /**
+     * Burst a firework: a ring of sparks in one colour at a random point in the sky
+     */
+    launchFirework() {
+        const x = this.canvas.width * (Math.random() * 0.8 + 0.1);
+        const y = this.canvas.height * (Math.random() * 0.35 + 0.15);
+        const color = ParticleSystem.CELEBRATION_COLORS[Math.floor(Math.random() * ParticleSystem.CELEBRATION_COLORS.length)];
+        const sparks = 40;
+
+        for (let i = 0; i < sparks; i++) {
+            const angle = (Math.PI * 2 * i) / sparks;
+            const speed = Math.random() * 2 + 2;
+            this.particles.push({
+                x,
+                y,
+                velX: Math.cos(angle) * speed,
+                velY: Math.sin(angle) * speed,
+                size: Math.random() * 1.5 + 1,
+                life: 1,
+                decay: Math.random() * 0.01 + 0.012,
+                color
+            });
+        }
+    }
+
     updateParticle(p) {
         switch (this.particleType) {
             case 'snow':
@@ -243,6 +500,26 @@ class ParticleSystem {
                     p.x = Math.random() * this.canvas.width;
                 }
                 break;
+
+            case 'confetti':
+                p.y += p.speed;
+                p.sway += 0.05;
+                p.x += Math.sin(p.sway) * 1.5;
+                p.rotation += p.rotationSpeed;
+                if (p.y > this.canvas.height + 10) {
+                    p.y = -10;
+                    p.x = Math.random() * this.canvas.width;
+                }
+                break;
+
+            case 'fireworks':
+                // Drag and gravity pull each spark into an arc as it fades
+                p.velX *= 0.98;
+                p.velY = p.velY * 0.98 + 0.04;
+                p.x += p.velX;
+                p.y += p.velY;
+                p.life -= p.decay;
+                break;
         }
     }
 
@@ -287,6 +564,22 @@ class ParticleSystem {
                 // Draw star shape
                 this.drawStar(p.x, p.y, 4, p.size, p.size / 2);
                 break;
+
+            case 'confetti':
+                this.ctx.translate(p.x, p.y);
+                this.ctx.rotate((p.rotation * Math.PI) / 180);
+                this.ctx.fillStyle = p.color;
+                this.ctx.globalAlpha = p.opacity;
+                this.ctx.fillRect(-p.width / 2, -p.height / 2, p.width, p.height);
+                break;
+
+            case 'fireworks':
+                this.ctx.fillStyle = p.color;
+                this.ctx.globalAlpha = Math.max(0, p.life);
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                this.ctx.fill();
+                break;
         }
 
         this.ctx.restore();
@@ -323,6 +616,13 @@ class ParticleSystem {
 
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+        if (this.particleType === 'fireworks' && this.density) {
+            this.particles = this.particles.filter(p => p.life > 0);
+            if (!this.particles.length || Math.random() < 0.03) {
+                this.launchFirework();
+            }
+        }
+
         this.particles.forEach(p => {
             this.updateParticle(p);
             this.drawParticle(p);
@@ -347,6 +647,33 @@ class ParticleSystem {
         return this;
     }
 
+    /**
+     * Switch to a celebration effect ('confetti' or 'fireworks') until endCelebration()
+     */
+    celebrate(type = 'confetti') {
+        if (!this.canvas) return this;
+
+        if (!this.celebration) {
+            this.celebration = { previousType: this.particleType, wasRunning: this.isRunning };
+        }
+        this.setParticleType(type);
+        this.start();
+        return this;
+    }
+
+    /**
+     * Go back to the particles that were showing before celebrate()
+     */
+    endCelebration() {
+        if (!this.celebration) return this;
+
+        const { previousType, wasRunning } = this.celebration;
+        this.celebration = null;
+        this.setParticleType(previousType);
+        if (!wasRunning) this.stop();
+        return this;
+    }
+
     toggle() {
         if (this.isRunning) {
             this.stop();
@@ -357,6 +684,12 @@ class ParticleSystem {
     }
 }
 
+// Bright colours shared by the confetti and firework effects
+ParticleSystem.CELEBRATION_COLORS = ['#f87171', '#fbbf24', '#34d399', '#60a5fa', '#a78bfa', '#f472b6'];
+
+// Particle count multipliers for the particleDensity preference
+ParticleSystem.DENSITIES = { off: 0, low: 0.5, normal: 1, high: 1.5 };
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { ThemeManager, ParticleSystem };
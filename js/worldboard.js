@@ -0,0 +1,108 @@
+/**
+ * Boxing Day Countdown - "Boxing Day Around the World" Board
+ * Lists every common timezone with its own countdown to local midnight Dec 26
+ */
+
+class WorldBoard {
+    constructor(containerId, engine) {
+        this.container = document.getElementById(containerId);
+        this.engine = engine;
+        this.unsubscribe = null;
+        this.isVisible = false;
+    }
+
+    /**
+     * Get the Boxing Day window (local midnight Dec 26 to midnight Dec 27) a city
+     * is in or waiting for at a given moment
+     */
+    static getCityStatus(city, now) {
+        const year = TimezoneUtils.getZonedParts(city.id, new Date(now)).year;
+        let start = TimezoneUtils.zonedTimeToUtc(city.id, year, 11, 26).getTime();
+        let end = TimezoneUtils.zonedTimeToUtc(city.id, year, 11, 27).getTime();
+
+        // This year's Boxing Day is over here - wait for next year's
+        if (now >= end) {
+            start = TimezoneUtils.zonedTimeToUtc(city.id, year + 1, 11, 26).getTime();
+            end = TimezoneUtils.zonedTimeToUtc(city.id, year + 1, 11, 27).getTime();
+        }
+
+        return {
+            ...city,
+            start,
+            end,
+            remaining: Math.max(0, start - now),
+            isCelebrating: now >= start && now < end
+        };
+    }
+
+    /**
+     * Get every common timezone ordered by which city reaches Boxing Day first
+     */
+    static getStatuses(now) {
+        return TimezoneUtils.commonTimezones
+            .map(city => WorldBoard.getCityStatus(city, now))
+            .sort((a, b) => a.start - b.start || a.city.localeCompare(b.city));
+    }
+
+    /**
+     * Render the board for the engine's current time
+     */
+    render() {
+        if (!this.container) return;
+
+        const now = this.engine.getHighPrecisionTime();
+        const statuses = WorldBoard.getStatuses(now);
+
+        this.container.innerHTML = statuses.map(city => {
+            const localTime = new Date(now).toLocaleTimeString('en-US', {
+                timeZone: city.id,
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            const classes = ['world-board__row'];
+            if (city.isCelebrating) classes.push('world-board__row--celebrating');
+            if (city.id === this.engine.timezone) classes.push('world-board__row--selected');
+
+            return `
+                <li class="${classes.join(' ')}">
+                    <span class="world-board__city">
+                        ${city.city}
+                        <span class="world-board__country">${city.country}</span>
+                    </span>
+                    <span class="world-board__time">${localTime}</span>
+                    <span class="world-board__remaining">
+                        ${city.isCelebrating ? '🎉 Boxing Day!' : CountdownEngine.formatDuration(city.remaining)}
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the board and follow the engine's ticks
+     */
+    show() {
+        if (this.isVisible) return this;
+        this.isVisible = true;
+        this.render();
+        this.unsubscribe = this.engine.subscribe(() => this.render());
+        return this;
+    }
+
+    /**
+     * Hide the board and stop following ticks
+     */
+    hide() {
+        this.isVisible = false;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        return this;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorldBoard };
+}
@@ -3,18 +3,35 @@
  * Provides offline support and caching
  */
 
-const CACHE_NAME = 'boxing-day-countdown-v1';
+const CACHE_NAME = 'boxing-day-countdown-v2';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
+    '/embed.html',
     '/css/styles.css',
+    '/js/holidays.js',
+    '/js/events.js',
     '/js/countdown.js',
     '/js/themes.js',
+    '/js/storage-backends.js',
     '/js/storage.js',
+    '/js/worldboard.js',
+    '/js/milestones.js',
+    '/js/calendar.js',
+    '/js/push.js',
+    '/js/reminders.js',
+    '/js/snapshot.js',
+    '/js/sync.js',
     '/js/app.js',
-    '/manifest.json'
+    '/js/embed.js',
+    '/js/boxingday-embed.js',
+    '/manifest.json',
+    '/icons/icon-192.png'
 ];
 
+// The app's own storage (IndexedDB), shared with the page
+importScripts('/js/storage-backends.js');
+
 const FONT_CACHE = 'boxing-day-fonts-v1';
 const FONT_URLS = [
     'https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,700;1,700&family=Inter:wght@300;400;600&display=swap'
@@ -127,14 +144,22 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
-// Handle push notifications
+// Handle push notifications - payloads are JSON ({ title, body, tag, url }) or plain text
 self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data?.json() || {};
+    } catch (e) {
+        data = { body: event.data?.text() };
+    }
+
     const options = {
-        body: event.data?.text() || "It's Boxing Day!",
+        body: data.body || "It's Boxing Day!",
         icon: '/icons/icon-192.png',
         badge: '/icons/icon-192.png',
-        tag: 'boxing-day-notification',
+        tag: data.tag || 'boxing-day-notification',
         requireInteraction: true,
+        data: { url: data.url || '/' },
         actions: [
             { action: 'open', title: 'Open Countdown' },
             { action: 'dismiss', title: 'Dismiss' }
@@ -142,7 +167,7 @@ self.addEventListener('push', (event) => {
     };
 
     event.waitUntil(
-        self.registration.showNotification('Boxing Day Countdown', options)
+        self.registration.showNotification(data.title || 'Boxing Day Countdown', options)
     );
 });
 
@@ -151,31 +176,222 @@ self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
     if (event.action === 'open' || !event.action) {
+        const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
         event.waitUntil(
             clients.matchAll({ type: 'window' }).then((clientList) => {
                 // Focus existing window if available
                 for (const client of clientList) {
-                    if (client.url === '/' && 'focus' in client) {
+                    if (client.url === url && 'focus' in client) {
                         return client.focus();
                     }
                 }
                 // Open new window
                 if (clients.openWindow) {
-                    return clients.openWindow('/');
+                    return clients.openWindow(url);
                 }
             })
         );
     }
 });
 
-// Background sync for offline actions
-self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-countdown') {
+// Renew the push subscription when the browser expires it, and let open pages store it
+self.addEventListener('pushsubscriptionchange', (event) => {
+    const applicationServerKey = event.oldSubscription?.options?.applicationServerKey;
+    if (!applicationServerKey) return;
+
+    event.waitUntil(
+        self.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey })
+            .then(subscription => clients.matchAll({ type: 'window' }).then((clientList) => {
+                clientList.forEach(client => client.postMessage({
+                    type: 'push-subscription-changed',
+                    subscription: subscription.toJSON()
+                }));
+            }))
+    );
+});
+
+// ===== Offline Reminder Schedule =====
+// The page sends its upcoming reminders here; they live in IndexedDB so they
+// survive the tab (and this worker) being closed.
+
+const REMINDER_DB = 'boxing-day-reminders';
+const REMINDER_STORE = 'reminders';
+
+// Reminders older than this when the worker wakes are left for the app's catch-up
+const REMINDER_STALE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Open the reminder database
+ */
+function openReminderDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(REMINDER_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(REMINDER_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read every stored reminder
+ */
+async function getReminders() {
+    const db = await openReminderDb();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(REMINDER_STORE).objectStore(REMINDER_STORE).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Replace the stored reminders with a new list
+ */
+async function putReminders(reminders) {
+    const db = await openReminderDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(REMINDER_STORE, 'readwrite');
+        const store = tx.objectStore(REMINDER_STORE);
+        store.clear();
+        reminders.forEach(reminder => store.put(reminder));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Whether Notification Triggers (showTrigger) are available
+ */
+function supportsNotificationTriggers() {
+    return 'TimestampTrigger' in self && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * Show a reminder as a system notification, now or at its time via a trigger
+ */
+function showReminder(reminder, scheduled = false) {
+    const options = {
+        body: reminder.body,
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png',
+        tag: reminder.tag,
+        data: { url: '/', reminderId: reminder.id }
+    };
+    if (scheduled) {
+        options.showTrigger = new TimestampTrigger(reminder.time);
+    }
+    return self.registration.showNotification(reminder.title, options);
+}
+
+/**
+ * Store a new schedule from the page. Delivery state carries over for reminders
+ * that are kept, and due reminders nobody has seen yet are kept for catch-up.
+ */
+async function scheduleReminders(incoming) {
+    const now = Date.now();
+    const existing = new Map((await getReminders()).map(r => [r.id, r]));
+
+    const upcoming = incoming
+        .filter(r => r.time > now)
+        .map(r => ({ ...r, delivered: Boolean(existing.get(r.id)?.delivered), triggered: false }));
+    const missed = [...existing.values()]
+        .filter(r => r.time <= now && !r.delivered && !r.triggered && !upcoming.some(u => u.id === r.id));
+
+    if (supportsNotificationTriggers()) {
+        // Cancel triggers from the old schedule, then set one per upcoming reminder
+        const pending = await self.registration.getNotifications({ includeTriggered: true });
+        pending.filter(n => n.data?.reminderId).forEach(n => n.close());
+
+        await Promise.all(upcoming
+            .filter(r => r.notify && !r.delivered)
+            .map(r => showReminder(r, true).then(() => { r.triggered = true; })));
+    }
+
+    await putReminders([...upcoming, ...missed]);
+    return upcoming.length;
+}
+
+/**
+ * Show reminders that have come due (run on periodic sync).
+ * While a window is open the page fires its own reminders, so nothing is shown.
+ */
+async function deliverDueReminders() {
+    const windows = await clients.matchAll({ type: 'window' });
+    if (windows.length) return 0;
+
+    const now = Date.now();
+    const reminders = await getReminders();
+    const due = reminders.filter(r => r.time <= now && !r.delivered);
+    if (!due.length) return 0;
+
+    // Milestones the page already fired (StorageManager.markMilestoneFired) are not repeated
+    const storage = await StorageBackends.create();
+    const fired = (await storage.get('milestones_fired')) || {};
+    const wasFired = r => Boolean(r.firedKey) && (fired[r.countdownId] || []).includes(r.firedKey);
+
+    // Triggered ones were already shown on time; of the rest show only the latest
+    const latest = due
+        .filter(r => !r.triggered && !wasFired(r) && r.notify && now - r.time < REMINDER_STALE_MS)
+        .sort((a, b) => b.time - a.time)[0];
+    if (latest) {
+        await showReminder(latest);
+    }
+
+    const shown = due.filter(r => (r.triggered || r === latest) && r.firedKey && !wasFired(r));
+    due.forEach(r => {
+        if (r.triggered || r === latest || wasFired(r)) r.delivered = true;
+    });
+    await putReminders(reminders);
+
+    // Mark what was shown here as fired, so the page doesn't show it again when it opens
+    if (shown.length) {
+        shown.forEach(r => {
+            fired[r.countdownId] = [...(fired[r.countdownId] || []), r.firedKey].slice(-50);
+        });
+        await storage.set('milestones_fired', fired);
+    }
+    return latest ? 1 : 0;
+}
+
+/**
+ * Hand the page every due reminder that was never shown, and forget them
+ */
+async function collectMissedReminders() {
+    const now = Date.now();
+    const reminders = await getReminders();
+    const missed = reminders.filter(r => r.time <= now && !r.delivered && !r.triggered);
+
+    await putReminders(reminders.filter(r => r.time > now));
+    return missed;
+}
+
+// Messages from the page
+self.addEventListener('message', (event) => {
+    const reply = (data) => event.ports[0]?.postMessage(data);
+
+    if (event.data?.type === 'schedule-reminders') {
+        event.waitUntil(
+            scheduleReminders(event.data.reminders || [])
+                .then(count => reply({ ok: true, count }))
+                .catch(err => reply({ ok: false, error: err.message }))
+        );
+    } else if (event.data?.type === 'collect-missed-reminders') {
         event.waitUntil(
-            // Sync any pending data
-            Promise.resolve()
+            collectMissedReminders()
+                .then(missed => reply({ missed }))
+                .catch(() => reply({ missed: [] }))
         );
     }
 });
 
+// Periodic Background Sync wakes the worker to show reminders with no tab open
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'check-reminders') {
+        event.waitUntil(deliverDueReminders());
+    }
+});
+
 console.log('Boxing Day Countdown Service Worker loaded');
@@ -0,0 +1,148 @@
+/**
+ * Boxing Day Countdown - Calendar Import Tests
+ * Parses .ics text the way other calendar apps write it: zone ids, VTIMEZONE
+ * blocks, Windows zone names, all-day dates and relative or absolute alarms.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// calendar.js uses TimezoneUtils as a page global
+const { TimezoneUtils } = require('../js/countdown.js');
+global.TimezoneUtils = TimezoneUtils;
+
+const { CalendarManager } = require('../js/calendar.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * A calendar file holding one event built from its property lines, plus
+ * any components (VTIMEZONE blocks) before it
+ */
+function ics(eventLines, before = []) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        ...before,
+        'BEGIN:VEVENT',
+        'UID:test@example.com',
+        ...eventLines,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+}
+
+/**
+ * The one event an .ics text parses to
+ */
+function parseOne(text) {
+    const events = CalendarManager.parse(text);
+    assert.equal(events.length, 1);
+    return events[0];
+}
+
+test('reads UTC times, names and escaped text', () => {
+    const event = parseOne(ics(['DTSTART:20261226T090000Z', 'SUMMARY:Sales\\, sales\\; more sales']));
+
+    assert.equal(event.name, 'Sales, sales; more sales');
+    assert.equal(event.date, '2026-12-26T09:00:00.000Z');
+    assert.deepEqual(event.milestones, []);
+});
+
+test('resolves IANA TZIDs, quoted or not', () => {
+    assert.equal(parseOne(ics(['DTSTART;TZID=America/New_York:20261226T090000'])).date, '2026-12-26T14:00:00.000Z');
+    assert.equal(parseOne(ics(['DTSTART;TZID="Europe/London":20260701T090000'])).date, '2026-07-01T08:00:00.000Z');
+});
+
+test('resolves Windows zone names and prefixed ids', () => {
+    assert.equal(
+        parseOne(ics(['DTSTART;TZID=AUS Eastern Standard Time:20261226T090000'])).date,
+        '2026-12-25T22:00:00.000Z'
+    );
+    assert.equal(
+        parseOne(ics(['DTSTART;TZID=/mozilla.org/20070129_1/Europe/Berlin:20261226T090000'])).date,
+        '2026-12-26T08:00:00.000Z'
+    );
+});
+
+test('resolves custom VTIMEZONE blocks by location or declared offset', () => {
+    const located = [
+        'BEGIN:VTIMEZONE',
+        'TZID:"Office: Toronto"',
+        'X-LIC-LOCATION:America/Toronto',
+        'END:VTIMEZONE'
+    ];
+    assert.equal(
+        parseOne(ics(['DTSTART;TZID="Office: Toronto":20261226T090000'], located)).date,
+        '2026-12-26T14:00:00.000Z'
+    );
+
+    const custom = [
+        'BEGIN:VTIMEZONE',
+        'TZID:Custom Zone',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0530',
+        'TZOFFSETTO:+0630',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0630',
+        'TZOFFSETTO:+0530',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+    assert.equal(
+        parseOne(ics(['DTSTART;TZID=Custom Zone:20261226T090000'], custom)).date,
+        '2026-12-26T03:30:00.000Z'
+    );
+});
+
+test('keeps all-day dates, floating times and unknown zones as wall-clock times', () => {
+    assert.equal(parseOne(ics(['DTSTART;VALUE=DATE:20261226'])).date, '2026-12-26T00:00:00');
+    assert.equal(parseOne(ics(['DTSTART:20261226T090000'])).date, '2026-12-26T09:00:00');
+    assert.equal(parseOne(ics(['DTSTART;TZID=Nowhere Standard Time:20261226T090000'])).date, '2026-12-26T09:00:00');
+});
+
+test('turns relative and absolute alarms into reminder offsets', () => {
+    const event = parseOne(ics([
+        'DTSTART:20261226T090000Z',
+        'BEGIN:VALARM',
+        'TRIGGER:-P1D',
+        'END:VALARM',
+        'BEGIN:VALARM',
+        'TRIGGER;RELATED=START:-PT1H30M',
+        'END:VALARM',
+        'BEGIN:VALARM',
+        'TRIGGER;VALUE=DATE-TIME:20261219T090000Z',
+        'END:VALARM',
+        'BEGIN:VALARM',
+        'TRIGGER;VALUE=DATE-TIME;TZID=Europe/London:20261226T080000',
+        'END:VALARM',
+        // After the start, and a duplicate of the first: both dropped
+        'BEGIN:VALARM',
+        'TRIGGER:PT15M',
+        'END:VALARM',
+        'BEGIN:VALARM',
+        'TRIGGER:-PT24H',
+        'END:VALARM'
+    ]));
+
+    assert.deepEqual(event.milestones, [DAY, 1.5 * HOUR, 7 * DAY, HOUR]);
+});
+
+test('unfolds long lines and skips events without a start', () => {
+    const text = ics(['DTSTART:20261226T090000Z', 'SUMMARY:A very long', '  event name']) +
+        '\r\nBEGIN:VEVENT\r\nSUMMARY:No start\r\nEND:VEVENT';
+
+    const events = CalendarManager.parse(text);
+    assert.deepEqual(events.map(e => e.name), ['A very long event name']);
+});
+
+test('parses durations in every unit', () => {
+    assert.equal(CalendarManager.parseDuration('-P1W'), -7 * DAY);
+    assert.equal(CalendarManager.parseDuration('P1DT2H3M4S'), DAY + 2 * HOUR + 3 * 60 * 1000 + 4000);
+    assert.equal(CalendarManager.parseDuration('+PT10S'), 10 * 1000);
+    assert.equal(CalendarManager.parseDuration('soon'), null);
+});
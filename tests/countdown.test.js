@@ -0,0 +1,196 @@
+/**
+ * Boxing Day Countdown - Countdown Engine Tests
+ * Drives CountdownEngine on a TimeTravelClock through the module.exports guards.
+ * Times that matter are passed to calculateTimeRemaining explicitly, so every
+ * assertion is exact.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CountdownEngine, TimeTravelClock } = require('../js/countdown.js');
+
+/**
+ * An engine in a timezone whose clock starts at an ISO moment
+ */
+function createEngine(now, options = {}) {
+    return new CountdownEngine({
+        timezone: 'UTC',
+        clock: new TimeTravelClock({ now: new Date(now) }),
+        ...options
+    });
+}
+
+const at = iso => new Date(iso).getTime();
+
+test('breaks the time left into calendar months and fixed units', () => {
+    const engine = createEngine('2026-10-19T10:20:30.500Z').setEvent();
+    assert.equal(engine.targetDate.toISOString(), '2026-12-26T00:00:00.000Z');
+
+    const remaining = engine.calculateTimeRemaining(at('2026-10-19T10:20:30.500Z'));
+    assert.deepEqual(
+        [remaining.months, remaining.weeks, remaining.days, remaining.hours, remaining.minutes, remaining.seconds, remaining.milliseconds],
+        [2, 0, 6, 13, 39, 29, 500]
+    );
+    assert.equal(remaining.years, 0);
+    assert.equal(remaining.totalDays, 67);
+    assert.equal(remaining.total, at('2026-12-26T00:00:00Z') - at('2026-10-19T10:20:30.500Z'));
+    assert.equal(remaining.isComplete, false);
+});
+
+test('counts whole months across month ends on the wall clock', () => {
+    const engine = createEngine('2026-01-31T00:00:00Z').setEvent();
+
+    // January 31 + 10 months is November 30 (clamped), leaving 26 days
+    const remaining = engine.calculateTimeRemaining(at('2026-01-31T00:00:00Z'));
+    assert.deepEqual([remaining.months, remaining.weeks, remaining.days, remaining.hours], [10, 3, 5, 0]);
+});
+
+test('targets midnight in the selected timezone', () => {
+    const engine = createEngine('2026-10-19T00:00:00Z', { timezone: 'America/New_York' }).setEvent();
+    assert.equal(engine.targetDate.toISOString(), '2026-12-26T05:00:00.000Z');
+
+    const tokyo = createEngine('2026-10-19T00:00:00Z', { timezone: 'Asia/Tokyo' }).setEvent();
+    assert.equal(tokyo.targetDate.toISOString(), '2026-12-25T15:00:00.000Z');
+});
+
+test('unit sets choose which units the breakdown uses', () => {
+    const now = at('2026-10-19T10:20:30.500Z');
+    const engine = createEngine(now).setEvent();
+    const pick = (units) => {
+        const r = engine.setUnits(units).calculateTimeRemaining(now);
+        return [r.years, r.months, r.weeks, r.days, r.hours, r.minutes, r.seconds];
+    };
+
+    assert.deepEqual(pick('standard'), [0, 2, 0, 6, 13, 39, 29]);
+    assert.deepEqual(pick('full'), [0, 2, 0, 6, 13, 39, 29]);
+    assert.deepEqual(pick('weeksDays'), [0, 0, 9, 4, 13, 39, 29]);
+    assert.deepEqual(pick('daysOnly'), [0, 0, 0, 67, 13, 39, 29]);
+
+    const far = createEngine('2025-01-01T00:00:00Z').setEvent('boxingday', 2026).setUnits('full');
+    const r = far.calculateTimeRemaining(at('2025-01-01T00:00:00Z'));
+    assert.deepEqual([r.years, r.months, r.days], [1, 11, 25]);
+});
+
+test('setUnits orders custom lists and falls back to the standard set', () => {
+    const engine = createEngine('2026-10-19T00:00:00Z');
+
+    engine.setUnits(['seconds', 'days']);
+    assert.deepEqual(engine.units, ['days', 'seconds']);
+    assert.equal(engine.unitSet, null);
+
+    engine.setUnits('nonsense');
+    assert.deepEqual(engine.units, CountdownEngine.UNIT_SETS.standard);
+    assert.equal(engine.unitSet, 'standard');
+});
+
+test('keeps the target through Boxing Day, then rolls over to next year', () => {
+    const during = createEngine('2026-12-26T12:00:00Z').setEvent();
+    assert.equal(during.targetYear, 2026);
+
+    const remaining = during.calculateTimeRemaining(at('2026-12-26T12:00:00Z'));
+    assert.equal(remaining.isComplete, true);
+    assert.equal(remaining.isCelebrating, true);
+    assert.equal(remaining.elapsed, 12 * 60 * 60 * 1000);
+
+    const after = createEngine('2026-12-27T00:00:00Z').setEvent();
+    assert.equal(after.targetYear, 2027);
+    assert.equal(after.targetDate.toISOString(), '2027-12-26T00:00:00.000Z');
+});
+
+test('an event whose day is next January still celebrates after a reload', () => {
+    // New Year's Eve 2026 is the midnight that starts January 1, 2027
+    const newYear = createEngine('2027-01-01T15:00:00Z').setEvent('newyearseve');
+    assert.equal(newYear.targetYear, 2026);
+    assert.equal(newYear.targetDate.toISOString(), '2027-01-01T00:00:00.000Z');
+    assert.equal(newYear.calculateTimeRemaining(at('2027-01-01T15:00:00Z')).isCelebrating, true);
+
+    const after = createEngine('2027-01-02T00:00:00Z').setEvent('newyearseve');
+    assert.equal(after.targetYear, 2027);
+    assert.equal(after.targetDate.toISOString(), '2028-01-01T00:00:00.000Z');
+
+    const before = createEngine('2026-12-31T23:00:00Z').setEvent('newyearseve');
+    assert.equal(before.targetYear, 2026);
+});
+
+test('update completes once and rolls a finished preset over', () => {
+    const calls = [];
+    const engine = createEngine('2026-12-27T00:00:01Z', {
+        onComplete: () => calls.push('complete'),
+        onRollover: () => calls.push('rollover')
+    }).setEvent('boxingday', 2026);
+
+    engine.update();
+    engine.stop();
+
+    assert.deepEqual(calls, ['complete', 'rollover']);
+    assert.equal(engine.targetYear, 2027);
+    assert.equal(engine.hasCompleted, false);
+});
+
+test('progress measures from the start of the year by default', () => {
+    const engine = createEngine('2026-07-01T00:00:00Z').setEvent();
+
+    // 181 of the 359 days from January 1 to December 26
+    assert.equal(engine.calculateTimeRemaining(at('2026-07-01T00:00:00Z')).progress, '50.42');
+});
+
+test('progress anchors move where the bar starts', () => {
+    const now = at('2026-07-01T00:00:00Z');
+    const engine = createEngine(now).setEvent();
+
+    // 187 of the 365 days since the previous Boxing Day
+    engine.setProgressAnchor({ type: 'previous' });
+    assert.equal(engine.getProgressStart(), at('2025-12-26T00:00:00Z'));
+    assert.equal(engine.calculateTimeRemaining(now).progress, '51.23');
+
+    engine.setProgressAnchor({ type: 'custom', date: '2026-12-01T00:00:00Z' });
+    assert.equal(engine.calculateTimeRemaining(now).progress, '0.00');
+    assert.equal(engine.calculateTimeRemaining(at('2026-12-13T12:00:00Z')).progress, '50.00');
+
+    engine.setProgressAnchor({ type: 'custom', date: 'not a date' });
+    assert.equal(engine.progressAnchor, null);
+    assert.deepEqual(engine.getProgressAnchor(), { type: 'yearStart', date: null });
+});
+
+test('custom dates measure progress from the last Boxing Day before them', () => {
+    const engine = createEngine('2027-01-30T00:00:00Z').setCustomDate('2027-03-01T00:00:00Z', 'Trip');
+
+    assert.equal(engine.getProgressStart(), at('2026-12-26T00:00:00Z'));
+    // 35 of the 65 days from December 26 to March 1
+    assert.equal(engine.calculateTimeRemaining(at('2027-01-30T00:00:00Z')).progress, '53.85');
+});
+
+test('the fast-tick window switches the update rate near the target', () => {
+    const engine = createEngine('2026-12-25T23:00:00Z').setEvent().setFastTickWindow(60 * 1000);
+    const rateFor = (total, isComplete = false) => {
+        engine.applyTickRate({ total, isComplete });
+        return engine.updateFrequency;
+    };
+
+    assert.equal(rateFor(61 * 1000), 1000);
+    assert.equal(rateFor(60 * 1000), CountdownEngine.FAST_UPDATE_FREQUENCY);
+    assert.equal(rateFor(1), CountdownEngine.FAST_UPDATE_FREQUENCY);
+    assert.equal(rateFor(0, true), 1000);
+
+    engine.setFastTickWindow(0);
+    assert.equal(rateFor(1), 1000);
+});
+
+test('a running countdown moves to the fast loop inside the window', () => {
+    const engine = createEngine('2026-12-25T23:59:30Z').setEvent().setFastTickWindow(60 * 1000);
+
+    engine.start();
+    try {
+        assert.equal(engine.updateFrequency, CountdownEngine.FAST_UPDATE_FREQUENCY);
+        assert.ok(engine.intervalId);
+
+        engine.setFastTickWindow(0);
+        assert.equal(engine.updateFrequency, 1000);
+        assert.ok(engine.intervalId);
+    } finally {
+        engine.stop();
+    }
+});
@@ -0,0 +1,97 @@
+/**
+ * Boxing Day Countdown - Regional Holiday Tests
+ * Checks HolidayRules against a table of observed dates for every region and
+ * every year the app offers (CountdownEngine.yearRange from mid-2020).
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HolidayRules } = require('../js/holidays.js');
+const { CountdownEngine, TimeTravelClock } = require('../js/countdown.js');
+
+const engine = new CountdownEngine({
+    timezone: 'UTC',
+    clock: new TimeTravelClock({ now: new Date('2020-06-01T00:00:00Z') })
+});
+const { start, end } = engine.yearRange;
+const YEARS = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+// Day of December each region observes, in YEARS order.
+// December 26 is a Saturday in 2020 and 2026 and a Sunday in 2021 and 2027.
+//                           2020 2021 2022 2023 2024 2025 2026 2027 2028 2029 2030 2031
+const WEEKDAY_SUBSTITUTE = [28, 28, 26, 26, 26, 26, 28, 28, 26, 26, 26, 26];
+const SUNDAY_TO_MONDAY = [26, 27, 26, 26, 26, 26, 26, 27, 26, 26, 26, 26];
+const NOT_PUBLIC = [26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26, 26];
+
+const OBSERVED = {
+    'gb-eng': WEEKDAY_SUBSTITUTE,
+    'gb-sct': WEEKDAY_SUBSTITUTE,
+    'gb-nir': WEEKDAY_SUBSTITUTE,
+    'au': WEEKDAY_SUBSTITUTE,
+    'nz': WEEKDAY_SUBSTITUTE,
+    'ca-federal': WEEKDAY_SUBSTITUTE,
+    'ca-on': WEEKDAY_SUBSTITUTE,
+    'ca-bc': NOT_PUBLIC,
+    'ca-ab': NOT_PUBLIC,
+    'ca-qc': NOT_PUBLIC,
+    'za': SUNDAY_TO_MONDAY,
+    'ie': WEEKDAY_SUBSTITUTE
+};
+
+test('the year range covers 2020 to 2031', () => {
+    assert.deepEqual(YEARS, [2020, 2021, 2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030, 2031]);
+});
+
+test('the table lists every region', () => {
+    assert.deepEqual(Object.keys(OBSERVED).sort(), Object.keys(HolidayRules.regions).sort());
+});
+
+Object.entries(OBSERVED).forEach(([region, days]) => {
+    test(`observed dates for ${region}`, () => {
+        YEARS.forEach((year, i) => {
+            const holiday = HolidayRules.getHoliday(region, year);
+            const label = `${region} ${year}`;
+
+            assert.equal(holiday.day, days[i], label);
+            assert.equal(holiday.observed.getMonth(), 11, label);
+            assert.equal(holiday.isSubstitute, days[i] !== 26, label);
+            assert.equal(HolidayRules.getTargetDay(region, year, 'observed'), days[i], label);
+            assert.equal(HolidayRules.getTargetDay(region, year, 'calendar'), 26, label);
+        });
+    });
+});
+
+test('substitute days fall on a Monday or Tuesday', () => {
+    Object.keys(OBSERVED).forEach(region => YEARS.forEach(year => {
+        const holiday = HolidayRules.getHoliday(region, year);
+        if (holiday.isSubstitute) {
+            assert.ok([1, 2].includes(holiday.observed.getDay()), `${region} ${year}`);
+        }
+    }));
+});
+
+test('weekend flags follow December 26', () => {
+    const weekends = YEARS.filter(year => HolidayRules.getHoliday('gb-eng', year).isWeekend);
+    assert.deepEqual(weekends, [2020, 2021, 2026, 2027]);
+});
+
+test('names and public holiday status come from the region', () => {
+    assert.equal(HolidayRules.getHoliday('ie', 2026).name, "St. Stephen's Day");
+    assert.equal(HolidayRules.getHoliday('za', 2026).name, 'Day of Goodwill');
+    assert.equal(HolidayRules.getHoliday('ca-qc', 2026).publicHoliday, false);
+    assert.equal(HolidayRules.getHoliday('unknown', 2026).region, HolidayRules.defaultRegion);
+});
+
+test('the engine counts down to the observed day when asked', () => {
+    const observed = new CountdownEngine({
+        timezone: 'UTC',
+        holidayRegion: 'gb-eng',
+        holidayTarget: 'observed',
+        clock: new TimeTravelClock({ now: new Date('2026-06-01T00:00:00Z') })
+    }).setEvent();
+
+    assert.equal(observed.targetDate.toISOString(), '2026-12-28T00:00:00.000Z');
+});
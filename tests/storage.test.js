@@ -0,0 +1,115 @@
+/**
+ * Boxing Day Countdown - Storage Loading Tests
+ * Runs StorageManager.init() against a MemoryBackend standing in for IndexedDB
+ * and a stubbed localStorage holding data saved before the move to IndexedDB.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// storage.js uses these as page globals
+const { StorageBackends, LocalStorageBackend, MemoryBackend } = require('../js/storage-backends.js');
+Object.assign(global, { StorageBackends, LocalStorageBackend });
+
+const { StorageManager } = require('../js/storage.js');
+
+/**
+ * A localStorage stand-in whose items are its own enumerable keys, like the real one
+ */
+function createLocalStorage(items = {}) {
+    const storage = {};
+    Object.defineProperties(storage, {
+        getItem: { value: key => (Object.hasOwn(storage, key) ? storage[key] : null) },
+        setItem: { value: (key, value) => { storage[key] = String(value); } },
+        removeItem: { value: key => { delete storage[key]; } }
+    });
+    return Object.assign(storage, items);
+}
+
+/**
+ * Reset StorageManager and make StorageBackends.create() return a backend
+ * holding data; it is named like IndexedDB unless a name is given
+ */
+function setup({ data = {}, legacy = {}, name = 'indexeddb' } = {}) {
+    const backend = new MemoryBackend();
+    backend.name = name;
+    Object.entries(data).forEach(([key, value]) => backend.data.set(key, value));
+
+    global.localStorage = createLocalStorage(legacy);
+    StorageBackends.create = async () => backend;
+    Object.assign(StorageManager, { cache: {}, backend: null, ready: null });
+    return backend;
+}
+
+test('moves localStorage data into IndexedDB, where IndexedDB wins', async () => {
+    const backend = setup({
+        data: { active_countdown: 'custom_2' },
+        legacy: {
+            boxingday_active_countdown: '"custom_1"',
+            boxingday_custom_countdowns: '{"custom_1":{"id":"custom_1","name":"Trip"}}',
+            // ThemeManager once stored the bare theme id
+            boxingday_theme: 'aurora',
+            other_site_key: 'kept'
+        }
+    });
+
+    await StorageManager.init();
+
+    assert.equal(StorageManager.get('active_countdown'), 'custom_2');
+    assert.equal(StorageManager.get('theme'), 'aurora');
+    assert.deepEqual(StorageManager.get('custom_countdowns'), { custom_1: { id: 'custom_1', name: 'Trip' } });
+
+    assert.equal(await backend.get('active_countdown'), 'custom_2');
+    assert.equal(await backend.get('theme'), 'aurora');
+    assert.deepEqual(await backend.get('custom_countdowns'), { custom_1: { id: 'custom_1', name: 'Trip' } });
+});
+
+test('clears the moved keys from localStorage and leaves other keys alone', async () => {
+    setup({ legacy: { boxingday_theme: 'aurora', boxingday_sound_volume: '0.3', other_site_key: 'kept' } });
+
+    await StorageManager.init();
+
+    assert.deepEqual(Object.keys(localStorage), ['other_site_key']);
+});
+
+test('keeps localStorage data when IndexedDB cannot take it', async () => {
+    const backend = setup({ legacy: { boxingday_theme: 'aurora' } });
+    backend.setMany = async () => { throw new Error('quota exceeded'); };
+
+    await StorageManager.init();
+
+    assert.equal(StorageManager.get('theme'), 'aurora');
+    assert.equal(localStorage.getItem('boxingday_theme'), 'aurora');
+});
+
+test('does not migrate when localStorage is the backend', async () => {
+    const backend = setup({ name: 'localstorage', legacy: { boxingday_theme: 'aurora' } });
+
+    await StorageManager.init();
+
+    assert.equal(StorageManager.get('theme'), null);
+    assert.equal(backend.data.size, 0);
+    assert.equal(localStorage.getItem('boxingday_theme'), 'aurora');
+});
+
+test('keeps writes made before init() and saves them once loaded', async () => {
+    const backend = setup({
+        data: { theme: 'snow', active_countdown: 'custom_1', modified: { active_countdown: 100 } }
+    });
+
+    StorageManager.set('theme', 'aurora');
+    const ready = StorageManager.init();
+    assert.equal(StorageManager.init(), ready);
+    await ready;
+
+    assert.equal(StorageManager.get('theme'), 'aurora');
+    assert.equal(StorageManager.get('active_countdown'), 'custom_1');
+    assert.equal(await backend.get('theme'), 'aurora');
+
+    // The early write's time joins the stored times
+    const modified = await backend.get('modified');
+    assert.equal(modified.active_countdown, 100);
+    assert.ok(modified.theme > 100);
+});
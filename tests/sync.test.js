@@ -0,0 +1,171 @@
+/**
+ * Boxing Day Countdown - Backup Merge Tests
+ * Restores backups into StorageManager's in-memory cache (no backend is set,
+ * so nothing is written elsewhere) under each merge strategy.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// sync.js uses these as page globals
+const { StorageManager, ShareManager } = require('../js/storage.js');
+const { ThemeManager } = require('../js/themes.js');
+const { MilestoneManager } = require('../js/milestones.js');
+const { CountdownEngine } = require('../js/countdown.js');
+Object.assign(global, { StorageManager, ShareManager, ThemeManager, MilestoneManager, CountdownEngine });
+
+const { BackupManager } = require('../js/sync.js');
+
+/**
+ * Replace this device's storage with values and their modification times
+ */
+function store(data, modified = {}) {
+    StorageManager.cache = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]));
+    StorageManager.cache[StorageManager.modifiedKey] = JSON.stringify(modified);
+}
+
+/**
+ * A parsed backup holding data and modification times
+ */
+function backup(data, modified = {}) {
+    return BackupManager.parseBackup({ type: BackupManager.FILE_TYPE, version: 1, exportedAt: 0, data, modified });
+}
+
+const countdown = (id, name) => ({ id, name, date: '2027-03-01T00:00:00.000Z', createdAt: 1 });
+
+test('backups leave out device keys', () => {
+    store({
+        active_countdown: 'custom_1',
+        sync: { url: 'https://example.com/backup' },
+        milestones_fired: { boxingday: ['1d@0'] }
+    }, { active_countdown: 5, sync: 6 });
+
+    const created = BackupManager.createBackup();
+    assert.deepEqual(created.data, { active_countdown: 'custom_1' });
+    assert.deepEqual(created.modified, { active_countdown: 5 });
+});
+
+test('merge adds what is missing and keeps this device\'s versions', () => {
+    store({
+        active_countdown: 'custom_1',
+        custom_countdowns: { custom_1: countdown('custom_1', 'Mine'), custom_2: countdown('custom_2', 'Local') }
+    });
+
+    const changed = BackupManager.restoreBackup(backup({
+        active_countdown: 'custom_3',
+        custom_countdowns: { custom_1: countdown('custom_1', 'Theirs'), custom_3: countdown('custom_3', 'Remote') },
+        progress_anchors: { boxingday: { type: 'previous', date: null } }
+    }), 'merge');
+
+    assert.deepEqual(changed.sort(), ['custom_countdowns', 'progress_anchors']);
+    assert.equal(StorageManager.get('active_countdown'), 'custom_1');
+    assert.deepEqual(
+        Object.values(StorageManager.get('custom_countdowns')).map(c => c.name).sort(),
+        ['Local', 'Mine', 'Remote']
+    );
+    assert.deepEqual(StorageManager.get('progress_anchors'), { boxingday: { type: 'previous', date: null } });
+});
+
+test('newest takes whichever side changed a key last', () => {
+    store({ active_countdown: 'custom_1', preferences: { volume: 0.2 } }, { active_countdown: 100, preferences: 300 });
+
+    const changed = BackupManager.restoreBackup(backup(
+        { active_countdown: 'custom_2', preferences: { volume: 0.9 } },
+        { active_countdown: 200, preferences: 250 }
+    ), 'newest');
+
+    assert.deepEqual(changed, ['active_countdown']);
+    assert.equal(StorageManager.get('active_countdown'), 'custom_2');
+    assert.deepEqual(StorageManager.get('preferences'), { volume: 0.2 });
+    // The backup's time is kept, so the next sync does not see a newer local change
+    assert.equal(StorageManager.getModified().active_countdown, 200);
+});
+
+test('a newer removal in the backup wins under newest', () => {
+    store({ active_countdown: 'custom_1', theme: 'snow' }, { active_countdown: 100, theme: 100 });
+
+    const changed = BackupManager.restoreBackup(backup({}, { active_countdown: 200, theme: 50 }), 'newest');
+
+    assert.deepEqual(changed, ['active_countdown']);
+    assert.equal(StorageManager.get('active_countdown'), null);
+    assert.equal(StorageManager.get('theme'), 'snow');
+    assert.equal(StorageManager.getModified().active_countdown, 200);
+});
+
+test('keys this device never had lose to any version under newest', () => {
+    store({});
+
+    BackupManager.restoreBackup(backup({ theme: 'aurora' }), 'newest');
+    assert.equal(StorageManager.get('theme'), 'aurora');
+});
+
+test('replace makes this device match the backup', () => {
+    store({ active_countdown: 'custom_1', theme: 'snow', sync: { url: 'https://example.com/backup' } });
+
+    const changed = BackupManager.restoreBackup(backup({ theme: 'aurora' }), 'replace');
+
+    assert.deepEqual(changed.sort(), ['active_countdown', 'theme']);
+    assert.equal(StorageManager.get('active_countdown'), null);
+    assert.equal(StorageManager.get('theme'), 'aurora');
+    assert.deepEqual(StorageManager.get('sync'), { url: 'https://example.com/backup' });
+});
+
+test('device keys in a backup are never restored', () => {
+    BackupManager.STRATEGIES.forEach(strategy => {
+        store({ sync: { url: 'https://mine.example/backup' } }, { sync: 1 });
+
+        BackupManager.restoreBackup(backup(
+            { sync: { url: 'https://theirs.example/backup' }, milestones_fired: { boxingday: ['1d@0'] }, developer: true },
+            { sync: 2, milestones_fired: 2, developer: 2 }
+        ), strategy);
+
+        assert.deepEqual(StorageManager.get('sync'), { url: 'https://mine.example/backup' }, strategy);
+        assert.equal(StorageManager.get('milestones_fired'), null, strategy);
+        assert.equal(StorageManager.get('developer'), null, strategy);
+    });
+});
+
+test('restored values are cleaned to the shapes the page writes', () => {
+    store({});
+
+    BackupManager.restoreBackup(backup({
+        milestones: {
+            boxingday: [
+                { id: '1d', offset: 24 * 60 * 60 * 1000, label: '<img src=x onerror=alert(1)>', enabled: true, toast: true },
+                { id: '"><b>', offset: 1000 },
+                { id: '2d', offset: 'soon' }
+            ],
+            '"><b>': []
+        },
+        custom_themes: {
+            'custom-abc': { name: 'Mine', accent: '#112233' },
+            'custom-bad': { name: 'Bad', accent: 'red' },
+            '"><i>': { name: 'Broken out' }
+        },
+        custom_countdowns: {
+            custom_1: { ...countdown('custom_1', 'Trip'), html: '<b>' },
+            'x"': countdown('x"', 'Bad id'),
+            custom_2: { id: 'custom_2', name: 'No date' }
+        },
+        active_countdown: '"><script>',
+        unknown: 'value'
+    }), 'merge');
+
+    assert.deepEqual(StorageManager.get('milestones'), {
+        boxingday: [{ id: '1d', offset: 24 * 60 * 60 * 1000, label: '1 day', enabled: true, chime: false, notification: false, toast: true }]
+    });
+    assert.deepEqual(Object.keys(StorageManager.get('custom_themes')), ['custom-abc']);
+    assert.deepEqual(StorageManager.get('custom_countdowns'), { custom_1: countdown('custom_1', 'Trip') });
+    assert.equal(StorageManager.get('active_countdown'), null);
+    assert.equal(StorageManager.get('unknown'), null);
+});
+
+test('parseBackup rejects files that are not backups', () => {
+    assert.throws(() => BackupManager.parseBackup('{'), /not valid JSON/);
+    assert.throws(() => BackupManager.parseBackup({ type: 'other' }), /not a Boxing Day backup/);
+    assert.throws(() => BackupManager.parseBackup({ type: BackupManager.FILE_TYPE, version: 2, data: {} }), /newer version/);
+    assert.throws(() => BackupManager.parseBackup({ type: BackupManager.FILE_TYPE, version: 1 }), /no saved data/);
+    assert.throws(() => BackupManager.restoreBackup(backup({}), 'overwrite'), /unknown merge strategy/);
+});
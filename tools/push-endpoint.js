@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Boxing Day Countdown - Stand-in Push Endpoint
+ * Plays the push service for offline testing: checks the VAPID token,
+ * decrypts payloads sent to fake subscriptions and logs them.
+ *
+ *   node tools/push-sender.js fake-subscription --out sub.json
+ *   node tools/push-endpoint.js --subscription sub.json [--port 8788]
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const { verifyVapidHeader, decryptPayload } = require('./push-sender.js');
+
+/**
+ * Start the endpoint; subscriptions maps endpoint paths to fake subscriptions
+ */
+function createEndpoint(subscriptions, options = {}) {
+    const received = [];
+    const onPush = options.onPush || (message => console.log(`Push received: ${JSON.stringify(message)}`));
+
+    const server = http.createServer((req, res) => {
+        const subscription = subscriptions.find(s => new URL(s.endpoint).pathname === req.url);
+        if (req.method !== 'POST' || !subscription) {
+            res.writeHead(404);
+            return res.end('Unknown subscription');
+        }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                const claims = verifyVapidHeader(req.headers.authorization);
+                if (req.headers['content-encoding'] !== 'aes128gcm') {
+                    throw new Error('Expected aes128gcm content encoding');
+                }
+
+                const message = JSON.parse(decryptPayload(Buffer.concat(chunks), subscription.standin));
+                received.push(message);
+                onPush(message, claims);
+
+                res.writeHead(201);
+                res.end();
+            } catch (err) {
+                console.error(`Push rejected: ${err.message}`);
+                res.writeHead(400);
+                res.end(err.message);
+            }
+        });
+    });
+
+    server.received = received;
+    return server;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const file = option('subscription');
+    if (!file) {
+        console.error('Usage: node tools/push-endpoint.js --subscription sub.json [--port 8788]');
+        process.exit(1);
+    }
+
+    const subscription = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const port = Number(option('port')) || Number(new URL(subscription.endpoint).port) || 8788;
+
+    createEndpoint([subscription]).listen(port, () => {
+        console.log(`Stand-in push endpoint listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createEndpoint };
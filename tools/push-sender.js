@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+/**
+ * Boxing Day Countdown - Local Web Push Sender
+ * Zero-dependency VAPID + aes128gcm (RFC 8291/8292) sender that schedules
+ * Boxing Day reminders. Transports are pluggable so pushes can go to a real
+ * push service or to the stand-in endpoint in tools/push-endpoint.js.
+ *
+ *   node tools/push-sender.js keys
+ *   node tools/push-sender.js fake-subscription [--endpoint http://localhost:8788/push/demo] [--out sub.json]
+ *   node tools/push-sender.js send --subscription sub.json [--message "Hello"]
+ *   node tools/push-sender.js schedule --subscription sub.json [--timezone Europe/London] [--now 2026-12-25T23:58:00Z] [--speed 60]
+ *   node tools/push-sender.js serve [--port 8787]
+ *
+ * VAPID keys come from --vapid <file> or VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const { CountdownEngine, TimeTravelClock } = require('../js/countdown.js');
+const { MilestoneManager } = require('../js/milestones.js');
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647;
+
+const base64url = {
+    encode(buffer) {
+        return Buffer.from(buffer).toString('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+    decode(text) {
+        return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    }
+};
+
+/**
+ * HKDF-SHA256 extract + single-block expand (all RFC 8291 needs)
+ */
+function hkdf(salt, ikm, info, length) {
+    const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+    return crypto.createHmac('sha256', prk)
+        .update(Buffer.concat([info, Buffer.from([1])]))
+        .digest()
+        .subarray(0, length);
+}
+
+/**
+ * Generate a P-256 VAPID key pair as base64url (raw public point, raw private scalar)
+ */
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: base64url.encode(ecdh.getPublicKey()),
+        privateKey: base64url.encode(ecdh.getPrivateKey())
+    };
+}
+
+/**
+ * Turn raw base64url VAPID keys into a signing KeyObject
+ */
+function vapidKeyObject(publicKey, privateKey) {
+    const pub = base64url.decode(publicKey);
+    return crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64url.encode(pub.subarray(1, 33)),
+            y: base64url.encode(pub.subarray(33, 65)),
+            d: privateKey
+        },
+        format: 'jwk'
+    });
+}
+
+/**
+ * Build the VAPID Authorization header for an endpoint (RFC 8292)
+ */
+function createVapidHeaders(endpoint, vapid, now = Date.now()) {
+    const header = base64url.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url.encode(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now / 1000) + 12 * 60 * 60,
+        sub: vapid.subject || 'mailto:hello@boxingdaycountdown.com'
+    }));
+    const unsigned = `${header}.${claims}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+        key: vapidKeyObject(vapid.publicKey, vapid.privateKey),
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return {
+        Authorization: `vapid t=${unsigned}.${base64url.encode(signature)}, k=${vapid.publicKey}`
+    };
+}
+
+/**
+ * Check a VAPID Authorization header; returns the JWT claims or throws
+ */
+function verifyVapidHeader(authorization) {
+    const match = /^vapid t=([^,]+),\s*k=(.+)$/.exec(authorization || '');
+    if (!match) throw new Error('Missing VAPID authorization');
+
+    const [header, claims, signature] = match[1].split('.');
+    const pub = base64url.decode(match[2]);
+    const key = crypto.createPublicKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64url.encode(pub.subarray(1, 33)),
+            y: base64url.encode(pub.subarray(33, 65))
+        },
+        format: 'jwk'
+    });
+
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: 'ieee-p1363'
+    }, base64url.decode(signature));
+    if (!valid) throw new Error('Invalid VAPID signature');
+
+    const payload = JSON.parse(base64url.decode(claims).toString());
+    if (payload.exp * 1000 < Date.now()) throw new Error('Expired VAPID token');
+    return payload;
+}
+
+/**
+ * Derive the content key and nonce shared by encrypt and decrypt
+ */
+function deriveKeys(ecdhSecret, authSecret, uaPublic, asPublic, salt) {
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+    const ikm = hkdf(authSecret, ecdhSecret, keyInfo, 32);
+    return {
+        key: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+    };
+}
+
+/**
+ * Encrypt a payload for a subscription (single aes128gcm record)
+ */
+function encryptPayload(subscription, payload) {
+    const uaPublic = base64url.decode(subscription.keys.p256dh);
+    const authSecret = base64url.decode(subscription.keys.auth);
+
+    const sender = crypto.createECDH('prime256v1');
+    const asPublic = sender.generateKeys();
+    const salt = crypto.randomBytes(16);
+    const { key, nonce } = deriveKeys(sender.computeSecret(uaPublic), authSecret, uaPublic, asPublic, salt);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(4096, 16);
+    header.writeUInt8(asPublic.length, 20);
+
+    return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+/**
+ * Decrypt an aes128gcm body with the subscriber's private key (used by the stand-in endpoint)
+ */
+function decryptPayload(body, keys) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const asPublic = body.subarray(21, 21 + idLength);
+    const ciphertext = body.subarray(21 + idLength);
+
+    const receiver = crypto.createECDH('prime256v1');
+    receiver.setPrivateKey(base64url.decode(keys.privateKey));
+    const uaPublic = receiver.getPublicKey();
+    const { key, nonce } = deriveKeys(
+        receiver.computeSecret(asPublic),
+        base64url.decode(keys.auth),
+        uaPublic,
+        asPublic,
+        salt
+    );
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+    // Strip padding: trailing zeros, then the 0x02 last-record delimiter
+    let end = padded.length - 1;
+    while (end > 0 && padded[end] === 0) end--;
+    return padded.subarray(0, end).toString();
+}
+
+/**
+ * Create a subscription the stand-in endpoint can decrypt (keeps the private key)
+ */
+function createFakeSubscription(endpoint) {
+    const receiver = crypto.createECDH('prime256v1');
+    receiver.generateKeys();
+    const auth = base64url.encode(crypto.randomBytes(16));
+
+    return {
+        endpoint,
+        expirationTime: null,
+        keys: { p256dh: base64url.encode(receiver.getPublicKey()), auth },
+        // Only known to the stand-in endpoint - a browser never shares this
+        standin: { privateKey: base64url.encode(receiver.getPrivateKey()), auth }
+    };
+}
+
+/**
+ * Sends over HTTP(S) - works for real push services and the stand-in endpoint
+ */
+class HttpTransport {
+    send(endpoint, headers, body) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(endpoint);
+            const client = url.protocol === 'http:' ? http : https;
+            const request = client.request(url, { method: 'POST', headers }, (response) => {
+                let text = '';
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => resolve({ status: response.statusCode, body: text }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+/**
+ * Records pushes in memory instead of sending them
+ */
+class MemoryTransport {
+    constructor() {
+        this.sent = [];
+    }
+
+    send(endpoint, headers, body) {
+        this.sent.push({ endpoint, headers, body });
+        return Promise.resolve({ status: 201, body: '' });
+    }
+}
+
+/**
+ * Encrypts, signs and sends notifications, and schedules them against a clock
+ */
+class PushSender {
+    constructor(options = {}) {
+        this.vapid = options.vapid;
+        this.transport = options.transport || new HttpTransport();
+        this.clock = options.clock || { now: () => Date.now(), speed: 1 };
+        this.timers = new Set();
+        this.onSent = options.onSent || (() => {});
+    }
+
+    /**
+     * Send one notification ({ title, body, tag, url }) to a subscription
+     */
+    async send(subscription, notification, ttl = 24 * 60 * 60) {
+        const body = encryptPayload(subscription, JSON.stringify(notification));
+        const headers = {
+            ...createVapidHeaders(subscription.endpoint, this.vapid, this.clock.now()),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': body.length,
+            TTL: String(ttl),
+            Urgency: 'high'
+        };
+
+        const result = await this.transport.send(subscription.endpoint, headers, body);
+        if (result.status >= 400) {
+            throw new Error(`Push rejected with ${result.status}: ${result.body}`);
+        }
+        this.onSent(notification, result);
+        return result;
+    }
+
+    /**
+     * Run a callback when the clock reaches a time (handles delays past setTimeout's limit)
+     */
+    scheduleAt(time, callback) {
+        const wait = (time - this.clock.now()) / (this.clock.speed || 1);
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (wait > MAX_TIMEOUT) {
+                this.scheduleAt(time, callback);
+            } else {
+                callback();
+            }
+        }, Math.max(0, Math.min(wait, MAX_TIMEOUT)));
+        this.timers.add(timer);
+    }
+
+    /**
+     * Schedule every upcoming reminder for a subscription; returns the reminder list
+     */
+    schedule(subscription, reminders) {
+        const upcoming = reminders.filter(r => r.time > this.clock.now());
+        upcoming.forEach(reminder => {
+            this.scheduleAt(reminder.time, () => {
+                this.send(subscription, reminder.notification)
+                    .catch(err => console.error('Push failed:', err.message));
+            });
+        });
+        return upcoming;
+    }
+
+    /**
+     * Cancel everything scheduled
+     */
+    cancelAll() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+/**
+ * Build the reminder list for the next Boxing Day in a timezone
+ */
+function getBoxingDayReminders(options = {}) {
+    const engine = new CountdownEngine({ timezone: options.timezone, clock: options.clock });
+    engine.setBoxingDay(options.year || null);
+
+    const target = engine.targetDate.getTime();
+    const milestones = (options.milestones || MilestoneManager.presets.map(p => MilestoneManager.create(p.offset, p.id)))
+        .filter(m => m.enabled !== false);
+
+    const reminders = milestones.map(m => ({
+        time: target - m.offset,
+        notification: {
+            title: `⏰ ${m.label || MilestoneManager.formatOffset(m.offset)} until Boxing Day!`,
+            body: `Boxing Day ${engine.targetYear} starts at midnight in ${engine.timezone}.`,
+            tag: `milestone-${m.id}`,
+            url: '/'
+        }
+    }));
+
+    reminders.push({
+        time: target,
+        notification: {
+            title: "🎉 It's Boxing Day!",
+            body: 'Time for the biggest shopping event of the year!',
+            tag: 'boxing-day-notification',
+            url: '/'
+        }
+    });
+
+    return reminders.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Load VAPID keys from a JSON file or the environment
+ */
+function loadVapid(file) {
+    if (file) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return {
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+            subject: process.env.VAPID_SUBJECT
+        };
+    }
+    throw new Error('No VAPID keys: pass --vapid <file> or set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY');
+}
+
+/**
+ * Parse "--name value" style arguments
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const next = argv[i + 1];
+            args[argv[i].slice(2)] = next === undefined || next.startsWith('--') ? true : argv[++i];
+        } else {
+            args._.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+/**
+ * Small app server: hands out the VAPID key and schedules reminders for
+ * subscriptions the page POSTs to /subscriptions
+ */
+function serve(args) {
+    const vapid = loadVapid(args.vapid);
+    const port = Number(args.port) || 8787;
+    const senders = new Map();
+
+    const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            return res.end();
+        }
+
+        if (req.method === 'GET' && req.url === '/vapid-public-key') {
+            res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ publicKey: vapid.publicKey }));
+        }
+
+        if (req.url === '/subscriptions' && (req.method === 'POST' || req.method === 'DELETE')) {
+            let text = '';
+            req.on('data', chunk => { text += chunk; });
+            req.on('end', () => {
+                try {
+                    const data = JSON.parse(text);
+                    const endpoint = data.subscription.endpoint;
+
+                    senders.get(endpoint)?.cancelAll();
+                    senders.delete(endpoint);
+
+                    if (req.method === 'POST') {
+                        const sender = new PushSender({ vapid });
+                        const upcoming = sender.schedule(data.subscription, getBoxingDayReminders({
+                            timezone: data.timezone,
+                            milestones: data.milestones
+                        }));
+                        senders.set(endpoint, sender);
+                        console.log(`Scheduled ${upcoming.length} reminders for ${endpoint}`);
+                    } else {
+                        console.log(`Removed ${endpoint}`);
+                    }
+
+                    res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (err) {
+                    res.writeHead(400, cors);
+                    res.end(err.message);
+                }
+            });
+            return;
+        }
+
+        res.writeHead(404, cors);
+        res.end();
+    });
+
+    server.listen(port, () => console.log(`Push app server listening on http://localhost:${port}`));
+    return server;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = args._[0];
+    const readSubscription = () => JSON.parse(fs.readFileSync(args.subscription, 'utf8'));
+
+    switch (command) {
+        case 'keys':
+            console.log(JSON.stringify({ ...generateVapidKeys(), subject: 'mailto:hello@boxingdaycountdown.com' }, null, 2));
+            break;
+
+        case 'fake-subscription': {
+            const subscription = createFakeSubscription(args.endpoint || 'http://localhost:8788/push/demo');
+            const json = JSON.stringify(subscription, null, 2);
+            if (args.out) {
+                fs.writeFileSync(args.out, json);
+                console.log(`Wrote ${path.resolve(args.out)}`);
+            } else {
+                console.log(json);
+            }
+            break;
+        }
+
+        case 'send': {
+            const sender = new PushSender({ vapid: loadVapid(args.vapid) });
+            const result = await sender.send(readSubscription(), {
+                title: 'Boxing Day Countdown',
+                body: args.message || "It's Boxing Day!",
+                url: '/'
+            });
+            console.log(`Sent (${result.status})`);
+            break;
+        }
+
+        case 'schedule': {
+            const clock = new TimeTravelClock({
+                now: args.now ? new Date(args.now) : Date.now(),
+                speed: Number(args.speed) || 1
+            });
+            const sender = new PushSender({
+                vapid: loadVapid(args.vapid),
+                clock,
+                onSent: (notification) => console.log(`Sent: ${notification.title}`)
+            });
+            const upcoming = sender.schedule(readSubscription(), getBoxingDayReminders({
+                timezone: args.timezone,
+                clock
+            }));
+            upcoming.forEach(r => console.log(`${new Date(r.time).toISOString()}  ${r.notification.title}`));
+            console.log(`${upcoming.length} reminders scheduled (Ctrl+C to stop)`);
+            break;
+        }
+
+        case 'serve':
+            serve(args);
+            break;
+
+        default:
+            console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    base64url,
+    generateVapidKeys,
+    createVapidHeaders,
+    verifyVapidHeader,
+    encryptPayload,
+    decryptPayload,
+    createFakeSubscription,
+    getBoxingDayReminders,
+    HttpTransport,
+    MemoryTransport,
+    PushSender
+};
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Boxing Day Countdown - Stand-in Sync Endpoint
+ * Keeps one backup in a JSON file for the page's HttpSyncAdapter: GET /backup
+ * returns it (404 until the first push) and PUT /backup replaces it.
+ *
+ *   node tools/sync-endpoint.js [--file sync-backup.json] [--port 8789] [--token secret]
+ *
+ * Point the page's Backup & Sync server field at http://localhost:8789/backup.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const { BackupManager } = require('../js/sync.js');
+
+// Largest backup accepted, in bytes
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Create the endpoint; backups are read from and written to options.file.
+ * With options.token, requests must send it as a bearer token.
+ */
+function createEndpoint(options = {}) {
+    const file = options.file || 'sync-backup.json';
+    const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            return res.end();
+        }
+
+        if (req.url !== '/backup' || (req.method !== 'GET' && req.method !== 'PUT')) {
+            res.writeHead(404, cors);
+            return res.end('Not found');
+        }
+
+        if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+            res.writeHead(401, cors);
+            return res.end('Missing or wrong token');
+        }
+
+        if (req.method === 'GET') {
+            if (!fs.existsSync(file)) {
+                res.writeHead(404, cors);
+                return res.end('No backup yet');
+            }
+            res.writeHead(200, { ...cors, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            return res.end(fs.readFileSync(file, 'utf8'));
+        }
+
+        let text = '';
+        req.on('data', chunk => {
+            text += chunk;
+            if (text.length > MAX_BODY) {
+                res.writeHead(413, cors);
+                res.end('Backup too large');
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                const backup = BackupManager.parseBackup(text);
+                fs.writeFileSync(file, BackupManager.serialize(backup));
+                console.log(`Stored backup with ${Object.keys(backup.data).length} keys`);
+
+                res.writeHead(204, cors);
+                res.end();
+            } catch (err) {
+                console.error(`Backup rejected: ${err.message}`);
+                res.writeHead(400, cors);
+                res.end(err.message);
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const port = Number(option('port')) || 8789;
+    createEndpoint({ file: option('file'), token: option('token') }).listen(port, () => {
+        console.log(`Stand-in sync endpoint listening on http://localhost:${port}/backup`);
+    });
+}
+
+module.exports = { createEndpoint };